@@ -24,6 +24,9 @@ stdout.write = function (out, encoding, cb) {
 var _console = new Console(stdout, stdout);
 
 rufus.addHandler(new rufus.handlers.Stream({ stream: stdout, formatter: new rufus.Formatter('[%date] %logger:: %message') }));
+rufus.getLogger('bench').setLevel('INFO');
+var disabled = rufus.getLogger('bench.deep.disabled.logger');
+var forget = rufus.getLogger('forget').setFireAndForget(true);
 intel.addHandler(new intel.handlers.Stream({ stream: stdout, formatter: new intel.Formatter('[%(date)s] %(name)s:: %(message)s') }));
 
 winston.add(winston.transports.File, { stream: stdout, timestamp: true });
@@ -49,6 +52,12 @@ suite
   .add('rufus.info', function() {
     rufus.info('asdf');
   })
+  .add('rufus.info fire-and-forget', function() {
+    forget.info('asdf');
+  })
+  .add('rufus.debug disabled', function() {
+    disabled.debug('asdf');
+  })
   .add('winston.info', function() {
     winston.info('asdf');
   })
@@ -0,0 +1,55 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const cluster = require('cluster');
+
+const rufus = require('./');
+const Logger = require('./logger');
+const IpcHandler = require('./handlers/ipc');
+const recordUtils = require('./utils/record');
+
+/**
+ * Worker side: send all records of this process to the primary
+ * @param options {Object} IpcHandler options
+ * @returns {IpcHandler} added handler
+ */
+function forward(options) {
+  var handler = new IpcHandler(options);
+  rufus.addHandler(handler);
+  return handler;
+}
+
+/**
+ * Primary side: log records sent by IpcHandler of workers,
+ * with workerId in fields and pid of the worker
+ * @returns {Function} stops receiving
+ */
+function receive() {
+  function onMessage(worker, msg) {
+    if (!msg || msg.type !== recordUtils.MESSAGE_TYPE) {
+      return;
+    }
+    var record = recordUtils.deserialize(msg.record);
+    record.fields = Object.assign({}, record.fields, { workerId: worker.id });
+    Logger.inject(record);
+  }
+
+  cluster.on('message', onMessage);
+  return function stop() {
+    cluster.removeListener('message', onMessage);
+  };
+}
+
+/**
+ * Receive records in primary process and forward them in workers
+ * @param options {Object} IpcHandler options for workers
+ * @returns {Function|IpcHandler} result of receive or forward
+ */
+function setup(options) {
+  return cluster.isWorker ? forward(options) : receive();
+}
+
+exports.forward = forward;
+exports.receive = receive;
+exports.setup = setup;
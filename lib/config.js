@@ -6,6 +6,7 @@ const path = require('path');
 const rufus = require('./');
 const Formatter = require('./formatter');
 const makeFilter = require('./filter');
+const sample = require('./sample');
 
 const RUFUS_PREFIX = 'rufus/';
 
@@ -31,12 +32,37 @@ function configureFilter(filterOptions, options) {
   }
 }
 
+function configureProcessor(processor, options) {
+  if (typeof processor === 'string') {
+    return req(processor, options.root);
+  } else if (typeof processor['class'] === 'string') {
+    return req(processor['class'], options.root);
+  }
+  return processor;
+}
+
+function getProcessor(name, options) {
+  if(!options.processors || !options.processors[name]) throw new Error('There is no processor with name: ' + name);
+  return options.processors[name];
+}
+
+// short name of built-in handler, like 'udp' for handlers.Udp
+function builtinHandler(name) {
+  if (/^[a-z]+$/i.test(name)) {
+    return rufus.handlers[name[0].toUpperCase() + name.substring(1).toLowerCase()];
+  }
+}
+
 function configureHandler(handler, options) {
   var HandlerClass = handler['class'];
   if (typeof HandlerClass === 'string') {
-    HandlerClass = req(HandlerClass, options.root);
+    HandlerClass = builtinHandler(HandlerClass) || req(HandlerClass, options.root);
   }
   delete handler['class'];
+  // buffering handlers pass records to another named handler
+  if (typeof handler.target === 'string') {
+    handler.target = getHandler(handler.target, options);
+  }
   if (handler.formatter) {
     handler.formatter = options.formatters[handler.formatter];
   }
@@ -46,6 +72,11 @@ function configureHandler(handler, options) {
       hndlr.addFilter(options.filters[fname]);
     });
   }
+  if (handler.processors) {
+    handler.processors.forEach(function eachProcessor(pname) {
+      hndlr.addProcessor(getProcessor(pname, options));
+    });
+  }
   return hndlr;
 }
 
@@ -71,22 +102,49 @@ function configureLogger(name, loggerOptions, options) {
   }
   if (loggerOptions.filters) {
     loggerOptions.filters.forEach(function eachHandler(fname) {
-      if(!options[fname]) throw new Error('There is no filter with name: ' + fname);
+      if(!options.filters || !options.filters[fname]) throw new Error('There is no filter with name: ' + fname);
       logger.addFilter(options.filters[fname]);
     });
   }
 
+  // sampling drops records before other processors do their work
+  if (loggerOptions.sample) {
+    logger.addProcessor(sample(loggerOptions.sample));
+  }
+
+  if (loggerOptions.processors) {
+    loggerOptions.processors.forEach(function eachProcessor(pname) {
+      logger.addProcessor(getProcessor(pname, options));
+    });
+  }
+
   if (loggerOptions.propagate != null) {
     logger.propagate = loggerOptions.propagate;
   }
 
+  if (loggerOptions.callSite != null) {
+    logger.setCallSite(loggerOptions.callSite);
+  }
+
+  if (loggerOptions.fireAndForget != null) {
+    logger.setFireAndForget(loggerOptions.fireAndForget);
+  }
+
+  if (loggerOptions.exitTimeout != null) {
+    logger.setExitTimeout(loggerOptions.exitTimeout);
+  }
+
   if (loggerOptions.handleExceptions) {
     logger.handleExceptions(loggerOptions.exitOnError);
   }
+
+  if (loggerOptions.handleRejections) {
+    logger.handleRejections(loggerOptions.exitOnError);
+  }
 }
 
 module.exports = function config(options) {
-  // lets do formatters and filters first, since they dont depend on anything
+  // lets do formatters, filters and processors first, since they dont depend on anything
   // then handlers, since they can depend on formatters
   // and then loggers, since they can depend on handlers
 
@@ -100,8 +158,16 @@ module.exports = function config(options) {
     filters[fi] = configureFilter(filters[fi], options);
   }
 
+  var processors = options.processors || {};
+  for (var p in processors) {
+    processors[p] = configureProcessor(processors[p], options);
+  }
+
   var loggers = options.loggers || {};
   for (var l in loggers) {
     configureLogger(l, loggers[l], options);
   }
+
+  // levels from LOGGJ_LEVEL environment variable win over config
+  rufus.Logger.applyLevelRules();
 };
@@ -0,0 +1,104 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+var LEVELS = require('./levels');
+
+var ROOT = 'root';
+// DEBUG-style names use colons, so accept them together with other logger dividers
+var DIVIDERS = /[\/\\:]/g;
+
+function escapeRegExp(str) {
+  return str.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function makeMatcher(pattern) {
+  if (pattern.indexOf('*') === -1) {
+    return function(name) {
+      return name === pattern;
+    };
+  }
+  var re = new RegExp('^' + escapeRegExp(pattern).replace(/\*/g, '.*') + '$');
+  return function(name) {
+    return re.test(name);
+  };
+}
+
+function parseLevel(str, spec) {
+  var level = LEVELS.getLevel(str);
+  if (level == null) {
+    throw new Error('Unknown level "' + str + '" in level rules: ' + spec);
+  }
+  return level;
+}
+
+/**
+ * Parse level rules like `info,app.db=debug,app.http.*=trace,-app.noisy`.
+ * Bare level is level of root logger, bare name is name=debug,
+ * name=level sets level and -name turns logger off. Names can contain * wildcards.
+ * @param spec {String} comma or space separated rules
+ * @returns {Array} rules with pattern, match function and level
+ */
+function parse(spec) {
+  var rules = [];
+  if (!spec) {
+    return rules;
+  }
+
+  String(spec).split(/[\s,]+/).forEach(function(part) {
+    if (!part) {
+      return;
+    }
+
+    var negated = part[0] === '-';
+    if (negated) {
+      part = part.substring(1);
+    }
+
+    var eq = part.indexOf('=');
+    var pattern = eq === -1 ? part : part.substring(0, eq);
+    var level;
+    if (negated) {
+      level = LEVELS.OFF;
+    } else if (eq !== -1) {
+      level = parseLevel(part.substring(eq + 1), spec);
+    } else if (LEVELS.getLevel(part) != null) {
+      pattern = ROOT;
+      level = LEVELS.getLevel(part);
+    } else {
+      level = LEVELS.DEBUG;
+    }
+
+    pattern = pattern.replace(DIVIDERS, '.');
+    rules.push({
+      pattern: pattern,
+      match: makeMatcher(pattern),
+      level: level,
+      negated: negated
+    });
+  });
+  return rules;
+}
+
+/**
+ * Level for logger by rules: negation wins, otherwise the last matching rule
+ * @param rules {Array} parsed rules
+ * @param name {String} logger name
+ * @returns {Number|undefined}
+ */
+function getLevel(rules, name) {
+  var level;
+  for (var i = 0; i < rules.length; i++) {
+    var rule = rules[i];
+    if (rule.match(name)) {
+      if (rule.negated) {
+        return rule.level;
+      }
+      level = rule.level;
+    }
+  }
+  return level;
+}
+
+exports.parse = parse;
+exports.getLevel = getLevel;
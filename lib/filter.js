@@ -5,12 +5,12 @@
 var util = require('util');
 
 function Filter(filter) {
-  // valid filters: regexp, string, function
+  // valid filters: regexp, string, function, { type: 'throttle' }, { type: 'sample' }
   var type = typeof filter;
   if (type === 'function') {
     return filter;
   } else if (type === 'string') {
-    return function(record) {
+    var nameFilter = function(record) {
       if (filter === record.name) {
         return true;
       } else if (record.name.indexOf(filter) === -1) {
@@ -19,10 +19,22 @@ function Filter(filter) {
         return record.name[filter.length] === '.';
       }
     };
+    nameFilter.usesMessage = false;
+    return nameFilter;
   } else if (util.isRegExp(filter)) {
     return function(record) {
       return filter.test(record.message);
     };
+  } else if (filter && filter.type === 'throttle') {
+    return require('./throttle')(filter);
+  } else if (filter && filter.type === 'sample') {
+    // filter can not change record shared by handlers, so it does not set sampleRate
+    var sampler = require('./sample')(filter);
+    var sampleFilter = function(record) {
+      return sampler(Object.assign({}, record));
+    };
+    sampleFilter.usesMessage = false;
+    return sampleFilter;
   }
 }
 module.exports = Filter;
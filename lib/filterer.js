@@ -2,21 +2,44 @@
  * License, v. 2.0. If a copy of the MPL was not distributed with this
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 
+var resolveLazyArgs = require('./utils/lazy').resolve;
+
+// lazy arguments are evaluated only for filters and processors which read the message,
+// those which do not, like sampling, have usesMessage set to false
+function needsArgs(record, fn) {
+  return record.lazy && fn.usesMessage !== false;
+}
+
 function Filterer() {
   this._filters = [];
+  this._processors = [];
+}
+
+// processors can change record and its fields, which can be shared with other
+// handlers and with bound fields of logger
+function copyRecord(record) {
+  var copy = Object.assign({}, record);
+  if (copy.fields) {
+    copy.fields = Object.assign({}, copy.fields);
+  }
+  return copy;
 }
 
 Filterer.prototype = {
 
   /**
-   * Filter record that produced by makeRecord
+   * Filter record that produced by makeRecord, filters get record
+   * and the logger or handler which filters it
    * @param record
    * @returns {boolean}
    */
   filter: function filter(record) {
     var i = this._filters.length;
     while (i--) {
-      if (!this._filters[i](record)) {
+      if (needsArgs(record, this._filters[i])) {
+        resolveLazyArgs(record);
+      }
+      if (!this._filters[i](record, this)) {
         return false;
       }
     }
@@ -34,6 +57,41 @@ Filterer.prototype = {
       this._filters.splice(index, 1);
     }
     return this;
+  },
+
+  /**
+   * Run processors in order of adding. Processor can change record in place,
+   * return new record, or return false or null to drop record.
+   * @param record
+   * @returns {Object|null} processed copy of record or null if it was dropped
+   */
+  process: function process(record) {
+    record = copyRecord(record);
+    for (var i = 0; i < this._processors.length; i++) {
+      if (needsArgs(record, this._processors[i])) {
+        resolveLazyArgs(record);
+      }
+      var result = this._processors[i](record);
+      if (result === false || result === null) {
+        return null;
+      } else if (typeof result === 'object') {
+        record = result;
+      }
+    }
+    return record;
+  },
+
+  addProcessor: function addProcessor(processor) {
+    this._processors.push(processor);
+    return this;
+  },
+
+  removeProcessor: function removeProcessor(processor) {
+    var index = this._processors.indexOf(processor);
+    if (index !== -1) {
+      this._processors.splice(index, 1);
+    }
+    return this;
   }
 
 };
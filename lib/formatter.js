@@ -6,6 +6,9 @@ var util = require('util');
 var EOL = require('os').EOL;
 
 var compileFormat = require('./utils/compileFormat');
+var serializeError = require('./utils/serializeError');
+var safeStringify = require('./utils/safeStringify');
+var isError = serializeError.isError;
 
 //stay it still with options, in case i will add something
 function Formatter(options) {
@@ -13,18 +16,25 @@ function Formatter(options) {
     if ('format' in options) {
       this._format = options.format;
     }
+    if (options.fieldsKey) {
+      this._fieldsKey = options.fieldsKey;
+    }
   } else if (typeof options === 'string') {
     this._format = options;
   }
 
   this._compiledFormat = compileFormat(this._format);
+  // json output has callSite of record, when capturing is enabled
+  this.callSite = this._format == 'json' || this._compiledFormat.callSite;
 }
 
-var defaultFormat = '[%date] %-5level %logger - %message%n%error';
+var defaultFormat = '[%date] %-5level %logger - %message%fields%n%error';
 
 Formatter.prototype = {
   _format: defaultFormat,
 
+  _fieldsKey: null,
+
   format: function format(record) {
     var message = record.message,
       formatted = util.format.apply(util, record.args);
@@ -35,17 +45,39 @@ Formatter.prototype = {
       // Format message as JSON
       let obj = {};
 
-      ['timestamp', 'levelname', 'name', 'pid', 'message'].forEach(k => {
+      ['timestamp', 'levelname', 'name', 'pid', 'message', 'sampleRate'].forEach(k => {
         if (record[k] != null) {
           obj[k] = record[k];
         }
       });
 
+      // fields go to top level or under fieldsKey, but never override record keys
+      if (record.fields) {
+        let fields = obj;
+        if (this._fieldsKey) {
+          fields = obj[this._fieldsKey] = {};
+        }
+        for (let k in record.fields) {
+          if (!(k in fields)) {
+            let value = record.fields[k];
+            fields[k] = isError(value) ? serializeError(value) : value;
+          }
+        }
+      }
+
+      if (record.callSite) {
+        obj.callSite = record.callSite;
+      }
+
+      if (record.mdc && Object.keys(record.mdc).length) {
+        obj.mdc = record.mdc;
+      }
+
       if (record.err) {
-        obj.err = record.err.stack;
+        obj.err = serializeError(record.err);
       }
 
-      formatted = JSON.stringify(obj) + EOL;
+      formatted = safeStringify(obj) + EOL;
     } else {
       formatted = this._compiledFormat(record);
     }
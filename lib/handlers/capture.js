@@ -0,0 +1,146 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+var AssertionError = require('assert').AssertionError;
+var util = require('util');
+
+var Handler = require('./handler');
+var LEVELS = require('../levels');
+
+function matchValue(expected, actual) {
+  if (util.types.isRegExp(expected)) {
+    return expected.test(String(actual));
+  } else if (typeof expected === 'function') {
+    return !!expected(actual);
+  }
+  return expected === actual;
+}
+
+// message is matched after interpolation, as it is output
+function getMessage(record) {
+  return record.args && record.args.length ? util.format.apply(null, record.args) : String(record.message);
+}
+
+function matchRecord(query, record) {
+  if (query.level != null && LEVELS.getLevel(query.level) !== record.level) {
+    return false;
+  }
+  if (query.name != null && !matchValue(query.name, record.name)) {
+    return false;
+  }
+  if (query.message != null && !matchValue(query.message, getMessage(record))) {
+    return false;
+  }
+  if (query.err != null) {
+    if (!record.err) {
+      return false;
+    }
+    if (query.err !== true && !matchValue(query.err, record.err.message)) {
+      return false;
+    }
+  }
+  if (query.fields) {
+    var fields = record.fields || {};
+    for (var key in query.fields) {
+      if (!matchValue(query.fields[key], fields[key])) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+function describeRecord(record) {
+  return record.levelname + ' ' + record.name + ' - ' + getMessage(record);
+}
+
+/**
+ * Handler which keeps records in memory, so tests can check what was logged.
+ * Query of find methods can have level, name, message (after interpolation),
+ * err and fields; values are compared strictly, with RegExp or with function.
+ * @param options {Object} handler options
+ * @constructor
+ */
+function CaptureHandler(options) {
+  Handler.call(this, options || {});
+  this.records = [];
+}
+util.inherits(CaptureHandler, Handler);
+
+CaptureHandler.prototype.emit = function captureEmit(record, callback) {
+  this.records.push(record);
+  callback();
+};
+
+/**
+ * All records matching query
+ * @param query {Object}
+ * @returns {Array}
+ */
+CaptureHandler.prototype.filterRecords = function filterRecords(query) {
+  return this.records.filter(function(record) {
+    return matchRecord(query || {}, record);
+  });
+};
+
+/**
+ * First record matching query
+ * @param query {Object}
+ * @returns {Object|undefined}
+ */
+CaptureHandler.prototype.find = function find(query) {
+  return this.filterRecords(query)[0];
+};
+
+/**
+ * Messages of captured records after interpolation
+ * @returns {Array}
+ */
+CaptureHandler.prototype.messages = function messages() {
+  return this.records.map(getMessage);
+};
+
+/**
+ * Throw AssertionError if no record matches query
+ * @param query {Object}
+ * @returns {Object} first matching record
+ */
+CaptureHandler.prototype.expectLogged = function expectLogged(query) {
+  var record = this.find(query);
+  if (!record) {
+    throw new AssertionError({
+      message: 'Expected record matching ' + util.inspect(query) + ' to be logged, captured:\n' +
+        (this.records.map(describeRecord).join('\n') || '(nothing)'),
+      actual: this.records,
+      expected: query,
+      operator: 'expectLogged',
+      stackStartFn: expectLogged
+    });
+  }
+  return record;
+};
+
+/**
+ * Throw AssertionError if some record matches query
+ * @param query {Object}
+ */
+CaptureHandler.prototype.expectNotLogged = function expectNotLogged(query) {
+  var record = this.find(query);
+  if (record) {
+    throw new AssertionError({
+      message: 'Expected no record matching ' + util.inspect(query) + ' to be logged, got:\n' +
+        describeRecord(record),
+      actual: record,
+      expected: query,
+      operator: 'expectNotLogged',
+      stackStartFn: expectNotLogged
+    });
+  }
+};
+
+CaptureHandler.prototype.clear = function clear() {
+  this.records = [];
+};
+
+module.exports = CaptureHandler;
@@ -62,7 +62,7 @@ ConsoleHandler.prototype._replaceFormat = function(handler) {
   var that = this;
   handler.format = function(record) {
     var formatted = origFormat.call(this, record);
-    if (that._colorize){
+    if (that._colorize && COLORS[record.level]){
       formatted = COLORS[record.level](formatted);
     }
     return formatted;
@@ -75,4 +75,23 @@ ConsoleHandler.prototype.setFormatter = function setFormatter(formatter) {
   this._err.setFormatter(formatter);
 };
 
+/**
+ * Set color for level
+ * @param level {String|Number} level name or value
+ * @param color {String|Function} chalk style name or function which colorize string, null removes color
+ */
+ConsoleHandler.setColor = function setColor(level, color) {
+  if (typeof color === 'string') {
+    if (typeof chalk[color] !== 'function') {
+      throw new Error('Unknown color: ' + color);
+    }
+    color = chalk[color];
+  }
+  if (color) {
+    COLORS[LEVELS.getLevel(level)] = color;
+  } else {
+    delete COLORS[LEVELS.getLevel(level)];
+  }
+};
+
 module.exports = ConsoleHandler;
@@ -38,4 +38,12 @@ FileHandler.prototype.reopen = function reopen() {
   this._stream = this._open();
 };
 
+FileHandler.prototype.close = function close(callback) {
+  this._closed = true;
+  if (this._stream.writableEnded) {
+    return callback();
+  }
+  this._stream.end(callback);
+};
+
 module.exports = FileHandler;
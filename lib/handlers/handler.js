@@ -7,6 +7,8 @@ var util = require('util');
 var Formatter = require('../formatter');
 var Filterer = require('../filterer');
 var LEVELS = require('../levels');
+var getCallSite = require('../utils/callSite');
+var sample = require('../sample');
 
 var _defaultFormatter = new Formatter();
 
@@ -21,38 +23,145 @@ function Handler(options) {
   } else if('format' in options) {
     this.setFormatter(new Formatter(options.format));
   }
+  if(options.callSite) {
+    this._callSite = true;
+  }
   this._emit = util.promisify(function() {
     return this.emit.apply(this, arguments);
   });
+  // one callback per handler, so fast path does not allocate per record
+  var self = this;
+  this._emitted = function emitted(err) {
+    if (err) {
+      Handler.onError(err, self);
+    }
+  };
   Handler.all.push(this);
   Filterer.call(this, options);
+  if(options.sample) {
+    this.addProcessor(sample(options.sample));
+  }
 }
 util.inherits(Handler, Filterer);
 
 Handler.all = [];
 
+/**
+ * Remove handler from Handler.all, so shutdown does not close it.
+ * For handlers which are closed by their owner or are not needed anymore.
+ * @param handler {Handler}
+ */
+Handler.unregister = function unregister(handler) {
+  var index = Handler.all.indexOf(handler);
+  if (index !== -1) {
+    Handler.all.splice(index, 1);
+  }
+};
+
+/**
+ * Central hook for errors of handlers called through fast path.
+ * Can be replaced, default one writes error to stderr.
+ * @param err {Error}
+ * @param handler {Handler}
+ * @param record {Object} optional, the record which failed
+ */
+Handler.onError = function onError(err/*, handler, record*/) {
+  process.stderr.write('loggj: handler error: ' + (err && err.stack || err) + '\n');
+};
+
 var proto = {
 
   level: null,
 
   _formatter: _defaultFormatter,
 
+  _callSite: false,
+
+  // set by handlers which can not write after close
+  _closed: false,
+
   handle: function(record) {
+    if (this._closed) {
+      this._dropClosed(record);
+      return Promise.resolve();
+    }
     if (!this.filter(record)) {
       return Promise.resolve();
     }
+    if (this._processors.length) {
+      record = this.process(record);
+      if (!record) {
+        return Promise.resolve();
+      }
+    }
     if (this.emit.length < 2) {
       throw new Error('Handler.emit requires a callback argument');
     }
+    // handle is still called synchronously from log method, so caller is in stack
+    if (this._needsCallSite(record) && !record.callSite) {
+      record.callSite = getCallSite();
+    }
 
     return this._emit(record);
   },
 
+  /**
+   * Fast path of handle: no promise, errors are passed to Handler.onError
+   * @param record
+   * @api private
+   */
+  dispatch: function dispatch(record) {
+    try {
+      if (this._closed) {
+        this._dropClosed(record);
+        return;
+      }
+      if (!this.filter(record)) {
+        return;
+      }
+      if (this._processors.length) {
+        record = this.process(record);
+        if (!record) {
+          return;
+        }
+      }
+      if (this._needsCallSite(record) && !record.callSite) {
+        record.callSite = getCallSite();
+      }
+      this.emit(record, this._emitted);
+    } catch (err) {
+      Handler.onError(err, this, record);
+    }
+  },
+
+  /**
+   * Whether call site of record is output, it can be captured only while log method runs
+   * @param record
+   * @returns {Boolean}
+   * @api private
+   */
+  _needsCallSite: function needsCallSite(record) {
+    return !!(this._formatter.callSite && (this._callSite || record.captureCallSite));
+  },
+
+  // records logged after close are dropped, only the first one is reported
+  _dropClosed: function dropClosed(record) {
+    if (!this._closedReported) {
+      this._closedReported = true;
+      Handler.onError(new Error('Handler is closed, records logged after shutdown are dropped'), this, record);
+    }
+  },
+
   // sub-classes should override emit, not handle
   emit: function emit(/*record, callback*/) {
     throw new Error('Handler.emit must be implemented by sub-classes');
   },
 
+  // flush pending records and release resources, sub-classes should override it if they need
+  close: function close(callback) {
+    callback();
+  },
+
   format: function format(record) {
     return this._formatter.format(record);
   },
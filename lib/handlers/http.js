@@ -0,0 +1,215 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+var http = require('http');
+var https = require('https');
+var stream = require('stream');
+var util = require('util');
+var zlib = require('zlib');
+
+var Handler = require('./handler');
+var serialize = require('../utils/record').serialize;
+
+var CONTENT_TYPES = {
+  ndjson: 'application/x-ndjson',
+  json: 'application/json'
+};
+
+/**
+ * Handler which POSTs records in batches, as newline-delimited JSON or JSON array.
+ * Batch is sent when batchSize records are collected or interval after its first record.
+ * Failed requests (connection errors and 5xx responses) are retried with exponential
+ * backoff and jitter, while up to maxBuffer bytes of records wait for sending.
+ * @param options {Object} url, method (default POST), headers, bodyFormat (ndjson or json),
+ *  gzip, batchSize (default 100), interval (default 1000), timeout (default 10000),
+ *  maxRetries (default 5), minDelay (default 100), maxDelay (default 30000),
+ *  maxBuffer in bytes (default 10mb), drop (oldest or newest)
+ * @constructor
+ */
+function HttpHandler(options) {
+  options = options || {};
+  if (!options.url) {
+    throw new Error('HttpHandler requires url');
+  }
+  var bodyFormat = options.bodyFormat || 'ndjson';
+  if (!CONTENT_TYPES[bodyFormat]) {
+    throw new Error('Unknown body format: ' + bodyFormat);
+  }
+  var drop = options.drop || 'oldest';
+  if (drop !== 'oldest' && drop !== 'newest') {
+    throw new Error('Unknown drop policy: ' + drop);
+  }
+  Handler.call(this, options);
+
+  this._url = new URL(options.url);
+  this._transport = this._url.protocol === 'https:' ? https : http;
+  this._method = options.method || 'POST';
+  this._bodyFormat = bodyFormat;
+  this._gzip = !!options.gzip;
+  this._headers = Object.assign({ 'Content-Type': CONTENT_TYPES[bodyFormat] }, options.headers);
+  if (this._gzip) {
+    this._headers['Content-Encoding'] = 'gzip';
+  }
+  this._batchSize = options.batchSize || 100;
+  this._interval = options.interval || 1000;
+  this._timeout = options.timeout || 10000;
+  this._maxRetries = options.maxRetries != null ? options.maxRetries : 5;
+  this._minDelay = options.minDelay || 100;
+  this._maxDelay = options.maxDelay || 30000;
+  this._maxBuffer = options.maxBuffer || 10 * 1024 * 1024;
+  this._drop = drop;
+
+  this._queue = [];
+  this._queuedBytes = 0;
+  this._timer = null;
+  this._sending = false;
+  this._drained = [];
+  this.dropped = 0;
+}
+util.inherits(HttpHandler, Handler);
+
+HttpHandler.prototype.emit = function httpEmit(record, callback) {
+  var data = JSON.stringify(serialize(record));
+  var size = Buffer.byteLength(data);
+  if (this._drop === 'oldest') {
+    while (this._queue.length && this._queuedBytes + size > this._maxBuffer) {
+      this._queuedBytes -= Buffer.byteLength(this._queue.shift());
+      this.dropped++;
+    }
+  }
+  // newest record, or one which alone is over maxBuffer
+  if (this._queuedBytes + size > this._maxBuffer) {
+    this.dropped++;
+    return callback();
+  }
+  this._queue.push(data);
+  this._queuedBytes += size;
+  this._schedule();
+  callback();
+};
+
+// send full batch, or everything when flushing, or wait for the interval
+HttpHandler.prototype._schedule = function schedule() {
+  if (this._sending) {
+    return;
+  }
+  if (!this._queue.length) {
+    this._drained.splice(0).forEach(function(cb) {
+      cb();
+    });
+  } else if (this._queue.length >= this._batchSize || this._drained.length) {
+    this._send();
+  } else if (!this._timer) {
+    this._timer = setTimeout(this._send.bind(this), this._interval);
+    this._timer.unref();
+  }
+};
+
+HttpHandler.prototype._send = function send() {
+  clearTimeout(this._timer);
+  this._timer = null;
+  if (this._sending || !this._queue.length) {
+    return;
+  }
+  this._sending = true;
+
+  var self = this;
+  var batch = this._queue.splice(0, this._batchSize);
+  batch.forEach(function(data) {
+    self._queuedBytes -= Buffer.byteLength(data);
+  });
+  this._body(batch, function(err, body) {
+    if (err) {
+      return done(err);
+    }
+    self._post(body, 0, done);
+  });
+
+  function done(err) {
+    self._sending = false;
+    if (err) {
+      self.dropped += batch.length;
+      Handler.onError(err, self);
+    }
+    self._schedule();
+  }
+};
+
+HttpHandler.prototype._body = function body(batch, callback) {
+  var text = this._bodyFormat === 'json' ? '[' + batch.join(',') + ']' : batch.join('\n') + '\n';
+  if (!this._gzip) {
+    return callback(null, Buffer.from(text));
+  }
+  zlib.gzip(text, callback);
+};
+
+/**
+ * Make request, retry it on connection error or 5xx response
+ * @param body {Buffer}
+ * @param attempt {Number} number of retries made
+ * @param callback {Function} called with error when retries are exhausted
+ * @api private
+ */
+HttpHandler.prototype._post = function post(body, attempt, callback) {
+  var self = this;
+  var finished = false;
+
+  var req = this._transport.request(this._url, {
+    method: this._method,
+    headers: Object.assign({ 'Content-Length': body.length }, this._headers),
+    timeout: this._timeout
+  }, function(res) {
+    res.resume();
+    // also called when connection is closed before the end of response
+    stream.finished(res, function(err) {
+      if (err) {
+        return done(err, true);
+      }
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        return done(null);
+      }
+      var error = new Error('HTTP ' + res.statusCode + ' response from ' + self._url.origin);
+      error.statusCode = res.statusCode;
+      done(error, res.statusCode >= 500);
+    });
+  });
+  req.on('timeout', function() {
+    req.destroy(new Error('HTTP request timeout'));
+  });
+  req.on('error', function(err) {
+    done(err, true);
+  });
+  req.end(body);
+
+  function done(err, retry) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    if (!err || !retry || attempt >= self._maxRetries) {
+      return callback(err);
+    }
+    var delay = Math.min(self._minDelay * Math.pow(2, attempt), self._maxDelay);
+    // jitter, so many processes do not retry at the same moment
+    delay = delay / 2 + Math.random() * delay / 2;
+    // not unref'd, batch being retried is a pending request
+    setTimeout(self._post.bind(self, body, attempt + 1, callback), delay);
+  }
+};
+
+/**
+ * Send all waiting records now
+ * @param callback {Function} called when they are sent or dropped
+ */
+HttpHandler.prototype.flush = function flush(callback) {
+  this._drained.push(callback);
+  this._schedule();
+};
+
+// send what is waiting, with retries
+HttpHandler.prototype.close = function httpClose(callback) {
+  this.flush(callback);
+};
+
+module.exports = HttpHandler;
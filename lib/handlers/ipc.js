@@ -0,0 +1,58 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+var cluster = require('cluster');
+var util = require('util');
+
+var Handler = require('./handler');
+var recordUtils = require('../utils/record');
+
+/**
+ * Handler for cluster workers, which sends records to primary process
+ * over IPC channel. Primary logs them with loggj.cluster.receive.
+ * @param options {Object} handler options
+ * @constructor
+ */
+function IpcHandler(options) {
+  Handler.call(this, options || {});
+  if (typeof process.send !== 'function') {
+    throw new Error('IpcHandler needs a process with IPC channel');
+  }
+  this._pending = 0;
+  this._drained = [];
+}
+util.inherits(IpcHandler, Handler);
+
+IpcHandler.prototype.emit = function ipcEmit(record, callback) {
+  if (!process.connected) {
+    return callback(new Error('IPC channel is closed'));
+  }
+
+  var self = this;
+  this._pending++;
+  process.send({
+    type: recordUtils.MESSAGE_TYPE,
+    workerId: cluster.worker ? cluster.worker.id : null,
+    record: recordUtils.serialize(record)
+  }, function(err) {
+    self._pending--;
+    if (!self._pending) {
+      self._drained.splice(0).forEach(function(cb) {
+        cb();
+      });
+    }
+    callback(err);
+  });
+};
+
+// wait until sent records are passed to the channel
+IpcHandler.prototype.close = function ipcClose(callback) {
+  if (this._pending) {
+    this._drained.push(callback);
+  } else {
+    callback();
+  }
+};
+
+module.exports = IpcHandler;
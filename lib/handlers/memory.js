@@ -0,0 +1,74 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+var util = require('util');
+
+var Handler = require('./handler');
+var LEVELS = require('../levels');
+
+/**
+ * Handler which keeps records in memory and passes them to target handler
+ * only when record of flushLevel or higher comes, when buffer is full,
+ * on flush() and on close.
+ * @param options {Object} target handler, capacity (default 100), flushLevel (default ERROR)
+ * @constructor
+ */
+function MemoryHandler(options) {
+  options = options || {};
+  if (!options.target || typeof options.target.handle !== 'function') {
+    throw new Error('MemoryHandler requires target handler');
+  }
+  Handler.call(this, options);
+  this._target = options.target;
+  this._capacity = options.capacity || 100;
+  this._flushLevel = LEVELS.getLevel(options.flushLevel != null ? options.flushLevel : LEVELS.ERROR);
+  this._buffer = [];
+}
+util.inherits(MemoryHandler, Handler);
+
+MemoryHandler.prototype.emit = function memoryEmit(record, callback) {
+  this._buffer.push(record);
+  if (record.level >= this._flushLevel || this._buffer.length >= this._capacity) {
+    this.flush(callback);
+  } else {
+    callback();
+  }
+};
+
+// target gets records later, when caller is not in stack anymore
+MemoryHandler.prototype._needsCallSite = function needsCallSite(record) {
+  return Handler.prototype._needsCallSite.call(this, record) ||
+    (typeof this._target._needsCallSite === 'function' && this._target._needsCallSite(record));
+};
+
+/**
+ * Pass buffered records to target in order they came
+ * @param callback {Function} optional, called when target handled them
+ */
+MemoryHandler.prototype.flush = function flush(callback) {
+  var records = this._buffer;
+  this._buffer = [];
+
+  var target = this._target;
+  Promise.all(records.map(function(record) {
+    return record.level >= target.level ? target.handle(record) : null;
+  })).then(function() {
+    if (callback) {
+      callback();
+    }
+  }, function(err) {
+    if (callback) {
+      callback(err);
+    } else {
+      Handler.onError(err, target);
+    }
+  });
+};
+
+MemoryHandler.prototype.close = function memoryClose(callback) {
+  this._closed = true;
+  this.flush(callback);
+};
+
+module.exports = MemoryHandler;
@@ -0,0 +1,36 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+var util = require('util');
+var workerThreads = require('worker_threads');
+
+var Handler = require('./handler');
+var recordUtils = require('../utils/record');
+
+/**
+ * Handler for worker threads, which sends records to main thread over
+ * MessagePort. Main thread re-injects them with loggj.threads.receive.
+ * @param options {Object} port (default parentPort), handler options
+ * @constructor
+ */
+function PortHandler(options) {
+  options = options || {};
+  Handler.call(this, options);
+  this._port = options.port || workerThreads.parentPort;
+  if (!this._port) {
+    throw new Error('PortHandler needs a port outside of worker thread');
+  }
+}
+util.inherits(PortHandler, Handler);
+
+PortHandler.prototype.emit = function portEmit(record, callback) {
+  this._port.postMessage({
+    type: recordUtils.MESSAGE_TYPE,
+    threadId: workerThreads.threadId,
+    record: recordUtils.serialize(record)
+  });
+  callback();
+};
+
+module.exports = PortHandler;
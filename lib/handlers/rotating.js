@@ -410,6 +410,11 @@ RotatingFileHandler.prototype.rotate = function () {
     });
 };
 
+RotatingFileHandler.prototype.close = function close(callback) {
+    clearTimeout(this._rotateTimeout);
+    FileHandler.prototype.close.call(this, callback);
+};
+
 RotatingFileHandler.prototype._fileFormat = function (file) {
     var name = file;
     if (this._rule == 'time'){
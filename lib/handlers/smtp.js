@@ -0,0 +1,180 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+var util = require('util');
+
+var Formatter = require('../formatter');
+var Handler = require('./handler');
+var LEVELS = require('../levels');
+var smtp = require('../utils/smtp');
+
+var HOUR = 60 * 60 * 1000;
+
+/**
+ * Handler which collects records and sends them grouped by logger name or
+ * message in one digest email per interval, but no more than maxPerHour emails.
+ * @param options {Object} from, to, host, port, secure, starttls, tls, auth,
+ *  level (default ERROR), interval in ms (default 60000), groupBy (message or name),
+ *  subject (format string), maxPerHour (default 10), maxPerGroup (default 10),
+ *  maxGroups (default 100)
+ * @constructor
+ */
+function SmtpHandler(options) {
+  options = options || {};
+  if (!options.from || !options.to) {
+    throw new Error('SmtpHandler requires from and to');
+  }
+  var groupBy = options.groupBy || 'message';
+  if (groupBy !== 'message' && groupBy !== 'name') {
+    throw new Error('SmtpHandler can group by message or name, not: ' + groupBy);
+  }
+  Handler.call(this, Object.assign({ level: LEVELS.ERROR }, options));
+
+  this._smtp = options;
+  this._from = options.from;
+  this._to = Array.isArray(options.to) ? options.to : [options.to];
+  this._interval = options.interval || 60000;
+  this._groupBy = groupBy;
+  this._subject = new Formatter(options.subject || '[%level] %logger: %message');
+  this._maxPerHour = options.maxPerHour || 10;
+  this._maxPerGroup = options.maxPerGroup || 10;
+  this._maxGroups = options.maxGroups || 100;
+
+  this._groups = Object.create(null);
+  this._groupCount = 0;
+  // records of messages which did not get own group
+  this._other = 0;
+  this._count = 0;
+  this._sent = [];
+  this._timer = null;
+  this._sending = null;
+}
+util.inherits(SmtpHandler, Handler);
+
+SmtpHandler.prototype.emit = function smtpEmit(record, callback) {
+  var key = this._groupBy === 'name' ? record.name : String(record.message);
+  var group = this._groups[key];
+  if (!group && this._groupCount < this._maxGroups) {
+    group = this._groups[key] = { key: key, count: 0, records: [] };
+    this._groupCount++;
+  }
+  // keep only first groups and first records of group, so flood does not take all memory
+  if (!group) {
+    this._other++;
+  } else {
+    group.count++;
+    if (group.records.length < this._maxPerGroup) {
+      group.records.push(record);
+    }
+  }
+  this._count++;
+
+  if (!this._timer) {
+    this._timer = setTimeout(this._onInterval.bind(this), this._interval);
+    this._timer.unref();
+  }
+  callback();
+};
+
+SmtpHandler.prototype._onInterval = function onInterval() {
+  this._timer = null;
+  var hourAgo = Date.now() - HOUR;
+  this._sent = this._sent.filter(function(time) {
+    return time > hourAgo;
+  });
+
+  if (this._sent.length >= this._maxPerHour) {
+    // keep collecting until the oldest email is more than hour old
+    this._timer = setTimeout(this._onInterval.bind(this), this._sent[0] - hourAgo);
+    this._timer.unref();
+    return;
+  }
+  this.flush(function(err) {
+    if (err) {
+      Handler.onError(err, this);
+    }
+  }.bind(this));
+};
+
+/**
+ * Make digest email of collected records
+ * @returns {Object} subject and text
+ * @api private
+ */
+SmtpHandler.prototype._digest = function digest() {
+  var self = this;
+  var groups = Object.keys(this._groups).map(function(key) {
+    return self._groups[key];
+  });
+  var first = groups[0].records[0];
+
+  var subject = this._subject.format(first).replace(/\s+/g, ' ').trim();
+  if (this._count > 1) {
+    subject += ' (+' + (this._count - 1) + ' more)';
+  }
+
+  var text = groups.map(function(group) {
+    var lines = [group.count + ' x ' + group.key, ''];
+    group.records.forEach(function(record) {
+      lines.push(self.format(record).replace(/\n+$/, ''));
+    });
+    if (group.count > group.records.length) {
+      lines.push('... and ' + (group.count - group.records.length) + ' more');
+    }
+    return lines.join('\n');
+  }).join('\n\n');
+  if (this._other) {
+    text += '\n\n... and ' + this._other + ' other messages';
+  }
+
+  return { subject: subject, text: text };
+};
+
+/**
+ * Send collected records now
+ * @param callback {Function} called when email is sent
+ */
+SmtpHandler.prototype.flush = function flush(callback) {
+  clearTimeout(this._timer);
+  this._timer = null;
+  if (!this._count) {
+    return callback();
+  }
+
+  var digest = this._digest();
+  this._groups = Object.create(null);
+  this._groupCount = 0;
+  this._other = 0;
+  this._count = 0;
+  this._sent.push(Date.now());
+
+  var self = this;
+  var sending = new Promise(function(resolve) {
+    smtp.sendMail(self._smtp, {
+      from: self._from,
+      to: self._to,
+      subject: digest.subject,
+      text: digest.text
+    }, resolve);
+  });
+  this._sending = sending;
+  sending.then(function(err) {
+    if (self._sending === sending) {
+      self._sending = null;
+    }
+    callback(err);
+  });
+};
+
+// send what is collected and wait for email being sent
+SmtpHandler.prototype.close = function smtpClose(callback) {
+  this._closed = true;
+  var sending = this._sending || Promise.resolve();
+  var self = this;
+  sending.then(function() {
+    self.flush(callback);
+  });
+};
+
+module.exports = SmtpHandler;
@@ -0,0 +1,146 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+var net = require('net');
+var tls = require('tls');
+var util = require('util');
+
+var Handler = require('./handler');
+var serialize = require('../utils/record').serialize;
+
+/**
+ * Handler which streams records as newline-delimited JSON over TCP, TLS or
+ * unix domain socket, e.g. to server made by loggj.createServer. Reconnects
+ * with exponential backoff and keeps up to maxBuffer records while disconnected.
+ * @param options {Object} port and host or path, tls (true or tls.connect options),
+ *  maxBuffer (default 1000), minDelay (default 100), maxDelay (default 30000)
+ * @constructor
+ */
+function SocketHandler(options) {
+  options = options || {};
+  if (!options.port && !options.path) {
+    throw new Error('SocketHandler requires port or path');
+  }
+  Handler.call(this, options);
+
+  this._connectOptions = options.path ? { path: options.path } :
+    { port: options.port, host: options.host || 'localhost' };
+  if (options.tls) {
+    this._tls = options.tls === true ? {} : options.tls;
+  }
+  this._maxBuffer = options.maxBuffer != null ? options.maxBuffer : 1000;
+  this._minDelay = options.minDelay || 100;
+  this._maxDelay = options.maxDelay || 30000;
+  this._delay = this._minDelay;
+
+  this._queue = [];
+  this.dropped = 0;
+
+  this._connect();
+}
+util.inherits(SocketHandler, Handler);
+
+SocketHandler.prototype._socket = null;
+SocketHandler.prototype._connected = false;
+SocketHandler.prototype._closing = false;
+SocketHandler.prototype._errorReported = false;
+
+SocketHandler.prototype._connect = function connect() {
+  var self = this;
+  this._reconnectTimeout = null;
+
+  var socket;
+  if (this._tls) {
+    socket = tls.connect(Object.assign({}, this._tls, this._connectOptions), onConnect);
+  } else {
+    socket = net.connect(this._connectOptions, onConnect);
+  }
+  // logging should not keep process running, pending writes still do
+  socket.unref();
+  this._socket = socket;
+
+  function onConnect() {
+    self._connected = true;
+    self._errorReported = false;
+    self._delay = self._minDelay;
+    self._queue.splice(0).forEach(function(data) {
+      socket.write(data);
+    });
+    if (self._closing) {
+      socket.end();
+    }
+  }
+
+  socket.on('error', function(err) {
+    // report once per disconnect, not on every reconnect attempt
+    if (!self._errorReported) {
+      self._errorReported = true;
+      self._reportError(err);
+    }
+  });
+
+  socket.on('close', function() {
+    self._connected = false;
+    self._socket = null;
+    if (self._closing) {
+      self._onClosed();
+    } else {
+      self._reconnectTimeout = setTimeout(self._connect.bind(self), self._delay);
+      self._reconnectTimeout.unref();
+      self._delay = Math.min(self._delay * 2, self._maxDelay);
+    }
+  });
+};
+
+/**
+ * Pass connection error to Handler.onError
+ * @param err {Error}
+ */
+SocketHandler.prototype._reportError = function reportError(err) {
+  Handler.onError(err, this);
+};
+
+SocketHandler.prototype.emit = function socketEmit(record, callback) {
+  this.send(JSON.stringify(serialize(record)) + '\n', callback);
+};
+
+/**
+ * Write data or buffer it while disconnected
+ * @param data {String|Buffer}
+ * @param callback {Function}
+ */
+SocketHandler.prototype.send = function send(data, callback) {
+  if (this._connected) {
+    this._socket.write(data, callback);
+    return;
+  }
+
+  this._queue.push(data);
+  if (this._queue.length > this._maxBuffer) {
+    this._queue.shift();
+    this.dropped++;
+  }
+  callback();
+};
+
+// send what is buffered if connection is being established, then disconnect
+SocketHandler.prototype.close = function socketClose(callback) {
+  if (this._closing) {
+    return callback();
+  }
+  this._closing = true;
+  clearTimeout(this._reconnectTimeout);
+
+  if (!this._socket) {
+    return callback();
+  }
+  this._onClosed = callback;
+  if (this._connected) {
+    this._socket.end();
+  }
+};
+
+SocketHandler.prototype._onClosed = function onClosed() {};
+
+module.exports = SocketHandler;
@@ -22,4 +22,15 @@ StreamHandler.prototype.emit = function streamEmit(record, callback) {
   this._stream.write(this.format(record), callback);
 };
 
+// stream is not owned by handler, so just wait until it is drained
+StreamHandler.prototype.close = function streamClose(callback) {
+  if (this._stream.writableNeedDrain) {
+    this._stream.once('drain', function() {
+      callback();
+    });
+  } else {
+    callback();
+  }
+};
+
 module.exports = StreamHandler;
@@ -0,0 +1,199 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+var os = require('os');
+var path = require('path');
+var util = require('util');
+
+var Formatter = require('../formatter');
+var Handler = require('./handler');
+var LEVELS = require('../levels');
+var SocketHandler = require('./socket');
+var UdpHandler = require('./udp');
+var safeStringify = require('../utils/safeStringify');
+
+var FACILITIES = {
+  kern: 0, user: 1, mail: 2, daemon: 3, auth: 4, syslog: 5, lpr: 6, news: 7,
+  uucp: 8, cron: 9, authpriv: 10, ftp: 11,
+  local0: 16, local1: 17, local2: 18, local3: 19, local4: 20, local5: 21, local6: 22, local7: 23
+};
+
+var MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// enterprise number reserved for documentation, RFC 5612
+var DEFAULT_SD_ID = 'loggj@32473';
+
+var NIL = '-';
+
+// options passed to UdpHandler or SocketHandler
+var TRANSPORT_OPTIONS = ['host', 'type', 'maxSize', 'oversize', 'tls', 'maxBuffer', 'minDelay', 'maxDelay'];
+
+/**
+ * Syslog severity of level, custom levels get severity of the closest lower built-in one
+ * @param level {Number}
+ * @returns {Number}
+ */
+function getSeverity(level) {
+  if (level >= LEVELS.CRITICAL) {
+    return 2;
+  } else if (level >= LEVELS.ERROR) {
+    return 3;
+  } else if (level >= LEVELS.WARNING) {
+    return 4;
+  } else if (level > LEVELS.INFO) {
+    return 5;
+  } else if (level === LEVELS.INFO) {
+    return 6;
+  }
+  return 7;
+}
+
+function pad(n) {
+  return n < 10 ? '0' + n : String(n);
+}
+
+// header fields are printable ascii without spaces
+function headerValue(value, maxLength) {
+  value = String(value == null || value === '' ? NIL : value).replace(/[^\x21-\x7e]/g, '_');
+  return value.substring(0, maxLength);
+}
+
+function sdName(name) {
+  return String(name).replace(/[^\x21-\x7e]|[= \]"]/g, '_').substring(0, 32);
+}
+
+function sdValue(value) {
+  if (value !== null && typeof value === 'object') {
+    value = value instanceof Error ? value.message : safeStringify(value);
+  }
+  return String(value).replace(/["\\\]]/g, '\\$&');
+}
+
+// connecting stream socket to datagram socket, like /dev/log of rsyslog or journald, fails with EPROTOTYPE
+function reportUnixError(socketPath, err) {
+  if (err.code === 'EPROTOTYPE') {
+    var cause = err;
+    err = new Error('Syslog socket ' + socketPath + ' accepts only datagrams, which Node.js can not send; ' +
+      'use unix stream socket or udp protocol');
+    err.code = cause.code;
+    err.cause = cause;
+  }
+  Handler.onError(err, this);
+}
+
+/**
+ * Handler which sends records to syslog in RFC 5424 or RFC 3164 format
+ * over UDP, TCP (with octet-counting framing) or local unix stream socket.
+ * Record fields become structured data, msgid field becomes MSGID.
+ * Node.js can not send unix datagrams, so /dev/log of rsyslog and journald,
+ * which is a datagram socket, is reachable only over UDP input of syslog.
+ * @param options {Object} protocol (udp, tcp or unix), host, port, path,
+ *  rfc (5424 or 3164), facility, appName, procid, msgid, sdId, plus UdpHandler or SocketHandler options
+ * @constructor
+ */
+function SyslogHandler(options) {
+  options = options || {};
+  var protocol = options.protocol || 'udp';
+  if (protocol !== 'udp' && protocol !== 'tcp' && protocol !== 'unix') {
+    throw new Error('Unknown syslog protocol: ' + protocol);
+  }
+  var facility = typeof options.facility === 'number' ? options.facility :
+    FACILITIES[options.facility || 'user'];
+  if (facility == null) {
+    throw new Error('Unknown syslog facility: ' + options.facility);
+  }
+
+  Handler.call(this, options);
+  if (!('formatter' in options) && !('format' in options)) {
+    this.setFormatter(new Formatter('%logger - %message%error'));
+  }
+
+  this._protocol = protocol;
+  this._facility = facility;
+  this._rfc = Number(options.rfc) || 5424;
+  this._hostname = options.hostname || os.hostname();
+  this._appName = options.appName || path.basename(process.argv[1] || process.title);
+  this._procid = options.procid != null ? options.procid : process.pid;
+  this._msgid = options.msgid;
+  this._sdId = options.sdId || DEFAULT_SD_ID;
+
+  var transportOptions = {};
+  TRANSPORT_OPTIONS.forEach(function(key) {
+    if (options[key] != null) {
+      transportOptions[key] = options[key];
+    }
+  });
+  if (protocol === 'udp') {
+    transportOptions.port = options.port || 514;
+    this._transport = new UdpHandler(transportOptions);
+  } else if (protocol === 'tcp') {
+    transportOptions.port = options.port || 514;
+    this._transport = new SocketHandler(transportOptions);
+  } else {
+    transportOptions.path = options.path || '/dev/log';
+    this._transport = new SocketHandler(transportOptions);
+    this._transport._reportError = reportUnixError.bind(this, transportOptions.path);
+  }
+  // transport is closed by this handler, not by shutdown
+  Handler.unregister(this._transport);
+}
+util.inherits(SyslogHandler, Handler);
+
+SyslogHandler.FACILITIES = FACILITIES;
+SyslogHandler.getSeverity = getSeverity;
+
+SyslogHandler.prototype.emit = function syslogEmit(record, callback) {
+  var message = this.formatSyslog(record);
+  if (this._protocol === 'tcp') {
+    // octet-counting framing, RFC 6587
+    message = Buffer.byteLength(message) + ' ' + message;
+  } else if (this._protocol === 'unix') {
+    message += '\n';
+  }
+  this._transport.send(Buffer.from(message), callback);
+};
+
+/**
+ * Make syslog message of record, without transport framing
+ * @param record
+ * @returns {String}
+ */
+SyslogHandler.prototype.formatSyslog = function formatSyslog(record) {
+  var pri = '<' + (this._facility * 8 + getSeverity(record.level)) + '>';
+  var msg = this.format(record).replace(/\n+$/, '');
+  var fields = record.fields || {};
+
+  if (this._rfc === 3164) {
+    var date = record.timestamp;
+    var day = date.getDate();
+    var timestamp = MONTHS[date.getMonth()] + ' ' + (day < 10 ? ' ' + day : day) + ' ' +
+      pad(date.getHours()) + ':' + pad(date.getMinutes()) + ':' + pad(date.getSeconds());
+    return pri + timestamp + ' ' + headerValue(this._hostname, 255) + ' ' +
+      headerValue(this._appName, 32) + '[' + this._procid + ']: ' + msg;
+  }
+
+  return pri + '1 ' + record.timestamp.toISOString() + ' ' +
+    headerValue(this._hostname, 255) + ' ' +
+    headerValue(this._appName, 48) + ' ' +
+    headerValue(this._procid, 128) + ' ' +
+    headerValue(fields.msgid != null ? fields.msgid : this._msgid, 32) + ' ' +
+    this._structuredData(fields) + ' ' + msg;
+};
+
+SyslogHandler.prototype._structuredData = function structuredData(fields) {
+  var params = '';
+  for (var key in fields) {
+    if (key !== 'msgid' && fields[key] !== undefined) {
+      params += ' ' + sdName(key) + '="' + sdValue(fields[key]) + '"';
+    }
+  }
+  return params ? '[' + this._sdId + params + ']' : NIL;
+};
+
+SyslogHandler.prototype.close = function syslogClose(callback) {
+  this._closed = true;
+  this._transport.close(callback);
+};
+
+module.exports = SyslogHandler;
@@ -0,0 +1,131 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+var dgram = require('dgram');
+var net = require('net');
+var util = require('util');
+
+var Handler = require('./handler');
+
+// fits into ethernet frame, so datagram is not fragmented
+var DEFAULT_MAX_SIZE = 1472;
+
+var POLICIES = ['truncate', 'chunk', 'drop'];
+
+// length of buffer cut at size, but not in the middle of utf8 character
+function cutAt(buf, size) {
+  if (size >= buf.length) {
+    return buf.length;
+  }
+  while (size > 0 && (buf[size] & 0xC0) === 0x80) {
+    size--;
+  }
+  return size;
+}
+
+/**
+ * Handler which sends every formatted record as UDP datagram.
+ * Records longer than maxSize are truncated, split into several datagrams
+ * or dropped, depending on oversize policy.
+ * @param options {Object} port, host (default localhost), type (udp4 or udp6, by host),
+ *  maxSize in bytes (default 1472), oversize (truncate, chunk or drop)
+ * @constructor
+ */
+function UdpHandler(options) {
+  options = options || {};
+  if (!options.port) {
+    throw new Error('UdpHandler requires port');
+  }
+  var oversize = options.oversize || 'truncate';
+  if (POLICIES.indexOf(oversize) === -1) {
+    throw new Error('Unknown oversize policy: ' + oversize);
+  }
+  Handler.call(this, options);
+
+  this._port = options.port;
+  this._host = options.host || 'localhost';
+  this._maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+  this._oversize = oversize;
+  this._pending = 0;
+  this._drained = [];
+
+  var type = options.type || (net.isIPv6(this._host) ? 'udp6' : 'udp4');
+  this._socket = dgram.createSocket(type);
+  this._socket.unref();
+  this._socket.on('error', function(err) {
+    Handler.onError(err, this);
+  }.bind(this));
+}
+util.inherits(UdpHandler, Handler);
+
+UdpHandler.prototype.emit = function udpEmit(record, callback) {
+  this.send(Buffer.from(this.format(record)), callback);
+};
+
+/**
+ * Send data applying size policy
+ * @param buf {Buffer}
+ * @param callback {Function}
+ */
+UdpHandler.prototype.send = function send(buf, callback) {
+  var chunks = [buf];
+  if (buf.length > this._maxSize) {
+    if (this._oversize === 'drop') {
+      return callback();
+    } else if (this._oversize === 'truncate') {
+      chunks = [buf.subarray(0, cutAt(buf, this._maxSize))];
+    } else {
+      chunks = [];
+      for (var start = 0; start < buf.length;) {
+        // maxSize smaller than one character would give empty chunk, then cut it anyway
+        var end = start + (cutAt(buf.subarray(start), this._maxSize) || this._maxSize);
+        chunks.push(buf.subarray(start, end));
+        start = end;
+      }
+    }
+  }
+
+  var self = this;
+  var left = chunks.length;
+  var error = null;
+  this._pending++;
+  chunks.forEach(function(chunk) {
+    self._socket.send(chunk, self._port, self._host, function(err) {
+      error = error || err;
+      if (--left) {
+        return;
+      }
+      self._pending--;
+      if (!self._pending) {
+        self._drained.splice(0).forEach(function(cb) {
+          cb();
+        });
+      }
+      callback(error);
+    });
+  });
+};
+
+// wait for datagrams being sent
+UdpHandler.prototype.close = function udpClose(callback) {
+  this._closed = true;
+  var socket = this._socket;
+  function closeSocket() {
+    try {
+      socket.close(function() {
+        callback();
+      });
+    } catch (err) {
+      // already closed
+      callback();
+    }
+  }
+  if (this._pending) {
+    this._drained.push(closeSocket);
+  } else {
+    closeSocket();
+  }
+};
+
+module.exports = UdpHandler;
@@ -2,20 +2,25 @@
  * License, v. 2.0. If a copy of the MPL was not distributed with this
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 
+var os = require('os');
+
 var Logger = require('./logger');
 var Handler = require('./handlers/handler');
 var handlers = require('./handlers');
 var Formatter = require('./formatter');
+var LEVELS = require('./levels');
 
 var root = new Logger();
 
 root.setLevel(Logger.DEBUG);
-var oldHandle = root.handle;
-root.handle = function handle() {
+// LOGGJ_LEVEL environment variable wins over default level
+Logger.applyLevelRules();
+var oldRoute = root._route;
+root._route = function _route() {
   if (this._handlers.length === 0) {
     root.basicConfig();
   }
-  return oldHandle.apply(this, arguments);
+  return oldRoute.apply(this, arguments);
 };
 
 root.basicConfig = function basicConfig(options) {
@@ -40,6 +45,7 @@ root.basicConfig = function basicConfig(options) {
 
   if (options.level) {
     root.setLevel(options.level);
+    Logger.applyLevelRules();
   }
 };
 
@@ -48,17 +54,117 @@ root.Handler = Handler;
 root.handlers = handlers;
 root.Formatter = Formatter;
 root.makeFilter = require('./filter');
+root.mdc = require('./mdc');
+root.createServer = require('./server');
+
+root.lazy = Logger.lazy;
 
 root.getLogger = function getLogger(name) {
   return new Logger(name);
 };
 
+/**
+ * Set hook for errors of handlers in fire-and-forget mode
+ * @param fn {Function} called with error, handler and record
+ */
+root.onError = function onError(fn) {
+  Handler.onError = fn;
+};
+
+/**
+ * Register custom level
+ * @param name {String} level name
+ * @param value {Number} level value
+ * @param options {Object} optional color for console and alias name
+ */
+root.addLevel = function addLevel(name, value, options) {
+  options = options || {};
+  // nothing is registered if any of arguments is wrong
+  Logger.checkLevel(name, value);
+  if (options.alias) {
+    Logger.checkLevel(options.alias, value);
+  }
+  if (options.color) {
+    handlers.Console.setColor(value, options.color);
+  }
+  Logger.addLevel(name, value);
+  if (options.alias) {
+    Logger.addLevel(options.alias, value);
+  }
+};
+
+/**
+ * Remove custom level, its color is removed with the last name of level
+ * @param name {String} level name or alias
+ * @returns {Boolean} true if level was removed
+ */
+root.removeLevel = function removeLevel(name) {
+  var value = LEVELS[String(name).toUpperCase()];
+  if (!Logger.removeLevel(name)) {
+    return false;
+  }
+  if (LEVELS.getLevelName(value) === String(value)) {
+    handlers.Console.setColor(value, null);
+  }
+  return true;
+};
+
+root.shutdown = require('./shutdown');
+
+var handledSignals = Object.create(null);
+
+/**
+ * On signal log it, flush and close all handlers and exit,
+ * signals already handled are skipped
+ * @param signals {Array} optional, default SIGINT and SIGTERM
+ */
+root.handleSignals = function handleSignals(signals) {
+  signals = signals || ['SIGINT', 'SIGTERM'];
+  signals.forEach(function(signal) {
+    if (handledSignals[signal]) {
+      return;
+    }
+    handledSignals[signal] = true;
+    process.once(signal, function onSignal() {
+      delete handledSignals[signal];
+      root._exit(root.warn('Received %s, shutting down', signal), 128 + os.constants.signals[signal]);
+    });
+  });
+};
+
+root.getLoggers = Logger.getLoggers;
+root.getLoggerTree = Logger.getLoggerTree;
+root.removeLogger = Logger.removeLogger;
+
+root.setLevelRules = Logger.setLevelRules;
+
+root.reset = function reset() {
+  Logger.reset();
+  root.setLevel(Logger.DEBUG);
+  Logger.applyLevelRules();
+};
+
 // lazy load it, since console depends on this module
 Object.defineProperty(root, 'config', {
   get: function() {
     return require('./config');
   }
 });
+Object.defineProperty(root, 'testing', {
+  get: function() {
+    return require('./testing');
+  }
+});
+Object.defineProperty(root, 'threads', {
+  get: function() {
+    return require('./threads');
+  }
+});
+Object.defineProperty(root, 'cluster', {
+  get: function() {
+    return require('./cluster');
+  }
+});
 Object.defineProperty(root, 'console', {
   get: function() {
     return require('./console');
@@ -9,7 +9,9 @@ var LEVELS = module.exports = {
   'INFO': 30,
   'WARNING': 40,
   'ERROR': 50,
-  'CRITICAL': 60
+  'CRITICAL': 60,
+  // above any level, turns logger or handler off
+  'OFF': Infinity
 };
 
 LEVELS.WARN = LEVELS.WARNING;
@@ -24,7 +26,21 @@ LEVELS.FATAL = LEVELS.CRITICAL;
 LEVELS.getLevel = function getLevel(val) {
   var level = parseInt(val, 10);
   if (isNaN(level)) {
-    level = LEVELS[String(val).toUpperCase()];
+    level = val === LEVELS.OFF ? val : LEVELS[String(val).toUpperCase()];
   }
   return level;
 };
+
+/**
+ * Return name of level by its number, first registered name wins over aliases
+ * @param level {Number}
+ * @returns {String}
+ */
+LEVELS.getLevelName = function getLevelName(level) {
+  for (var name in LEVELS) {
+    if (LEVELS[name] === level) {
+      return name;
+    }
+  }
+  return String(level);
+};
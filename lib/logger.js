@@ -6,15 +6,39 @@ var util = require('util');
 
 var LEVELS = require('./levels');
 var Filterer = require('./filterer');
+var mdc = require('./mdc');
+var env = require('./env');
+var Span = require('./span');
+var Handler = require('./handlers/handler');
+var shutdown = require('./shutdown');
+var isError = require('./utils/serializeError').isError;
+var lazyArgs = require('./utils/lazy');
+var isLazy = lazyArgs.isLazy;
 
 var SLICE = Array.prototype.slice;
 
-var __loggers = {};
+// without prototype, so names like constructor are just names
+var __loggers = Object.create(null);
 var ROOT = 'root';
 var DIVIDER = '.';
 var OTHER_DIVIDERS = /[\/\\]/g;
 
-var parentNamesCache = {};
+// handlers made before fast path, or not inherited from Handler, have only handle method
+function dispatchTo(handler, record) {
+  if(typeof handler.dispatch === 'function') {
+    handler.dispatch(record);
+    return;
+  }
+  try {
+    Promise.resolve(handler.handle(record)).catch(function(err) {
+      Handler.onError(err, handler, record);
+    });
+  } catch(err) {
+    Handler.onError(err, handler, record);
+  }
+}
+
+var parentNamesCache = Object.create(null);
 parentNamesCache[ROOT] = [];
 
 function getParentsNames(name) {
@@ -37,26 +61,146 @@ function getParentsNames(name) {
 }
 
 
-function getEffectiveParent(name) {
-  if(name === ROOT) {
-    return;
-  }
+// registered loggers waiting for a logger with this name to be created, which
+// may become their parent; entries of removed or re-parented loggers are skipped
+var placeholders = Object.create(null);
+
+// link new logger with its closest registered parent and with descendants registered before it
+function linkLogger(logger) {
+  var name = logger._name;
   var parentsNames = getParentsNames(name);
 
-  var parent;
+  var parent = null;
   var i = parentsNames.length;
   while(!parent && i--) {
-    parent = __loggers[parentsNames[i]];
+    parent = __loggers[parentsNames[i]] || null;
+    if(!parent) {
+      (placeholders[parentsNames[i]] || (placeholders[parentsNames[i]] = [])).push(logger);
+    }
+  }
+  logger._parent = parent;
+  if(parent) {
+    parent._children.add(logger);
+  }
+
+  var waiting = placeholders[name];
+  delete placeholders[name];
+  if(waiting) {
+    waiting.forEach(function(child) {
+      var current = child._parent;
+      if(__loggers[child._name] !== child || current === logger ||
+        (current && (name === ROOT || current._name.indexOf(name + DIVIDER) === 0))) {
+        // removed, or already has closer parent
+        return;
+      }
+      if(current) {
+        current._children.delete(child);
+      }
+      child._parent = logger;
+      logger._children.add(child);
+    });
+  }
+  refreshSubtree(logger);
+}
+
+// pass children of removed logger to its parent
+function unlinkLogger(logger) {
+  var parent = logger._parent;
+  if(parent) {
+    parent._children.delete(logger);
+  }
+  // names between children and removed logger are already waited for,
+  // now the removed name and names up to the new parent are too
+  var names = getParentsNames(logger._name).slice(parent ? getParentsNames(parent._name).length + 1 : 0);
+  names.push(logger._name);
+  logger._children.forEach(function(child) {
+    child._parent = parent;
+    if(parent) {
+      parent._children.add(child);
+    }
+    names.forEach(function(name) {
+      (placeholders[name] || (placeholders[name] = [])).push(child);
+    });
+    refreshSubtree(child);
+  });
+  logger._children = new Set();
+}
+
+// compute effective level and mode of logger and its descendants, so log calls do not walk hierarchy
+function refreshSubtree(logger) {
+  var parent = logger._parent;
+  logger._effectiveLevel = logger._level != null ? logger._level :
+    parent ? parent._effectiveLevel : LEVELS.NOTSET;
+  logger._forget = logger._fireAndForget != null ? logger._fireAndForget :
+    parent ? parent._forget : false;
+  logger._children.forEach(refreshSubtree);
+}
+
+// recompute effective levels of all loggers
+function refreshCaches() {
+  for(var name in __loggers) {
+    if(!__loggers[name]._parent) {
+      refreshSubtree(__loggers[name]);
+    }
   }
-  return parent;
+}
+
+var RESOLVED = Promise.resolve();
+
+// timestamp and pid of records, tests can freeze them with Logger.freezeRecords
+var frozenTime = null;
+var recordPid = process.pid;
+
+// levels from LOGGJ_LEVEL environment variable, they are applied to loggers when created
+var levelRules = [];
+try {
+  levelRules = env.parse(process.env.LOGGJ_LEVEL);
+} catch(err) {
+  // bad variable should not break the application which only requires loggj
+  process.stderr.write('loggj: ' + err.message + '\n');
 }
 
 function logAtLevel(level) {
+  var value = LEVELS[level];
   return function _logAtLevel(msg /*, args...*/) {
+    if(value < this._effectiveLevel) {
+      return this._forget ? undefined : RESOLVED;
+    }
     return this._log(level, msg, arguments);
   };
 }
 
+var PLACEHOLDERS = /%[sdifjoOc%]/g;
+
+// number of arguments util.format will interpolate to message
+function countPlaceholders(msg) {
+  var count = 0;
+  if(typeof msg === 'string') {
+    var m = msg.match(PLACEHOLDERS);
+    for(var i = 0; m && i < m.length; i++) {
+      if(m[i] !== '%%') {
+        count++;
+      }
+    }
+  }
+  return count;
+}
+
+function isPlainObject(value) {
+  if(value === null || typeof value !== 'object') {
+    return false;
+  }
+  var proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function isEnabledAtLevel(level) {
+  var value = LEVELS[level];
+  return function _isEnabledAtLevel() {
+    return value >= this._effectiveLevel;
+  };
+}
+
 function Logger(name) {
   Filterer.call(this);
   if(!name) {
@@ -70,6 +214,15 @@ function Logger(name) {
   this._name = name;
 
   this._handlers = [];
+  // registered loggers which have this one as parent
+  this._children = new Set();
+
+  var level = env.getLevel(levelRules, name);
+  if(level != null) {
+    this._level = level;
+  }
+
+  linkLogger(this);
 }
 util.inherits(Logger, Filterer);
 
@@ -81,10 +234,27 @@ var proto = {
 
   _level: null,
 
+  // cached by refreshSubtree
+  _effectiveLevel: LEVELS.NOTSET,
+
+  _parent: null,
+
   _handlesExceptions: false,
 
   _exitOnError: true,
 
+  _exitOnRejection: true,
+
+  _exitTimeout: 3000,
+
+  _fields: null,
+
+  _callSite: false,
+
+  _fireAndForget: null,
+
+  _forget: false,
+
   propagate: true,
 
   setLevel: function setLevel(level) {
@@ -92,6 +262,57 @@ var proto = {
     if(level == null)
       throw new Error('Cannot set level with provided value:' + level);
     this._level = level;
+    if(__loggers[this._name] === this) {
+      refreshSubtree(this);
+    } else {
+      // child logger, which is not in registry
+      this._effectiveLevel = level;
+    }
+    return this;
+  },
+
+  /**
+   * Switch fire-and-forget mode. In this mode log methods return nothing
+   * and handlers are called without promises, their errors go to Handler.onError.
+   * Descendant loggers inherit the mode, null restores inheritance.
+   * @param enabled {Boolean|null}
+   * @returns {Logger}
+   */
+  setFireAndForget: function setFireAndForget(enabled) {
+    this._fireAndForget = enabled == null ? null : !!enabled;
+    if(__loggers[this._name] === this) {
+      refreshSubtree(this);
+    } else {
+      this._forget = this._fireAndForget == null ?
+        Object.getPrototypeOf(this)._forget : this._fireAndForget;
+    }
+    return this;
+  },
+
+  isFireAndForget: function isFireAndForget() {
+    return this._forget;
+  },
+
+  /**
+   * Start timed operation, which logs start record now and end record
+   * with duration when span.end() or span.fail(err) called
+   * @param name {String} operation name
+   * @param fields {Object} optional fields for span records
+   * @param options {Object} optional level of span records
+   * @returns {Span}
+   */
+  span: function span(name, fields, options) {
+    return new Span(this, name, fields, options);
+  },
+
+  /**
+   * Capture file, line and function of caller for records of this logger.
+   * Only handlers which formatter use call site tokens will capture it.
+   * @param enabled {boolean}
+   * @returns {this}
+   */
+  setCallSite: function setCallSite(enabled) {
+    this._callSite = enabled !== false;
     return this;
   },
 
@@ -102,16 +323,7 @@ var proto = {
    * @api private
    */
   getEffectiveLevel: function getEffectiveLevel() {
-    if(this._level != null) {
-      return this._level;
-    } else {
-      var parent = getEffectiveParent(this._name);
-      if(parent) {
-        return parent.getEffectiveLevel();
-      } else {
-        return LEVELS.NOTSET;
-      }
-    }
+    return this._effectiveLevel;
   },
 
   /**
@@ -121,7 +333,7 @@ var proto = {
    * @api private
    */
   isEnabledFor: function isEnabledFor(level) {
-    return level >= this.getEffectiveLevel();
+    return level >= this._effectiveLevel;
   },
 
   /**
@@ -155,6 +367,19 @@ var proto = {
     return this._handlers;
   },
 
+  /**
+   * Create lightweight child logger, which shares name, level and handlers
+   * with this logger, but adds bound fields to every record it makes.
+   * Fields of nested children are merged, closest child wins.
+   * @param fields {Object} context fields, e.g. { requestId: id }
+   * @returns {Logger}
+   */
+  child: function child(fields) {
+    var logger = Object.create(this);
+    logger._fields = Object.assign({}, this._fields, fields);
+    return logger;
+  },
+
   /**
    * Generate actual log record object
    * @param name {String} name of logger
@@ -165,21 +390,55 @@ var proto = {
    * @api private
    */
   makeRecord: function makeRecord(name, level, msg, args) {
-    var err;
-    if(util.isError && util.isError(args[args.length - 1]) || util.types.isNativeError && util.types.isNativeError(args[args.length - 1])) {
+    var err, meta;
+
+    // object before message, like log.info({ userId: 1 }, 'logged in')
+    if(args.length > 1 && isPlainObject(args[0])) {
+      meta = args[0];
+      args = SLICE.call(args, 1);
+    }
+
+    if(isError(args[args.length - 1])) {
       err = args[args.length - 1];
       args.length = args.length - 1;
     }
 
+    // object after all interpolated arguments, like log.info('logged in', { userId: 1 })
+    if(!meta && args.length > 1 && isPlainObject(args[args.length - 1]) &&
+      countPlaceholders(args[0]) < args.length - 1) {
+      meta = args[args.length - 1];
+      args.length = args.length - 1;
+
+      if(!err && isError(args[args.length - 1])) {
+        err = args[args.length - 1];
+        args.length = args.length - 1;
+      }
+    }
+
+    var lazy = false;
+    for(var i = 0, len = args.length; i < len; i++) {
+      if(isLazy(args[i], i)) {
+        lazy = true;
+      } else if(isError(args[i])) {
+        // error not at the end stays in message as short text,
+        // first of them becomes record error if there is no last one
+        err = err || args[i];
+        args[i] = String(args[i]);
+      }
+    }
+
     return {
       name: name,
       level: LEVELS[level],
       levelname: level,
-      timestamp: new Date(),
-      message: msg,
+      timestamp: frozenTime === null ? new Date() : new Date(frozenTime),
+      message: args.length ? args[0] : msg,
       args: args,
+      lazy: lazy,
       err: err,
-      pid: process.pid
+      fields: meta ? Object.assign({}, this._fields, meta) : this._fields,
+      mdc: mdc.capture(),
+      pid: recordPid
     };
   },
 
@@ -191,32 +450,68 @@ var proto = {
    */
   handle: function handle(record) {
     var promises = [];
+    this._route(record, promises);
+
+    if(promises.length > 1) {
+      return Promise.all(promises);
+    } else if(promises[0]) {
+      return promises[0];
+    } else {
+      return RESOLVED;
+    }
+  },
 
-    if(this.filter(record)) {
+  /**
+   * Handle record without waiting for handlers
+   * @param record
+   * @api private
+   */
+  dispatch: function dispatch(record) {
+    this._route(record, null);
+  },
 
-      var i = this._handlers.length;
-      while(i--) {
-        if(record.level >= this._handlers[i].level) {
-          promises.push(this._handlers[i].handle(record));
-        }
+  /**
+   * Pass record to own handlers and to parents. Collects handler promises,
+   * or calls handlers through their fast path when promises is null.
+   * @param record
+   * @param promises {Array|null}
+   * @api private
+   */
+  _route: function _route(record, promises) {
+    // filters and processors which check message resolve lazy arguments
+    if(!this.filter(record)) {
+      return;
+    }
+
+    if(this._processors.length) {
+      record = this.process(record);
+      if(!record) {
+        return;
       }
+    }
+
+    if(this._callSite) {
+      record.captureCallSite = true;
+    }
 
-      // if this.propagate, tell our parent
-      if(this.propagate) {
-        var parent = getEffectiveParent(this._name);
-        if(parent) {
-          promises.push(parent.handle(record));
+    var i = this._handlers.length;
+    while(i--) {
+      var handler = this._handlers[i];
+      if(record.level >= handler.level) {
+        if(record.lazy) {
+          lazyArgs.resolve(record);
+        }
+        if(promises) {
+          promises.push(handler.handle(record));
+        } else {
+          dispatchTo(handler, record);
         }
       }
-
     }
 
-    if(promises.length > 2) {
-      return Promise.all(promises);
-    } else if(promises[0]) {
-      return promises[0];
-    } else {
-      return Promise.resolve();
+    // if this.propagate, tell our parent
+    if(this.propagate && this._parent) {
+      this._parent._route(record, promises);
     }
   },
 
@@ -233,15 +528,16 @@ var proto = {
 
 
   _log: function _log(level, msg, args) {
-    var promise;
+    if(LEVELS[level] < this._effectiveLevel) {
+      return this._forget ? undefined : RESOLVED;
+    }
 
-    if(this.isEnabledFor(LEVELS[level])) {
-      promise = this.handle(this.makeRecord(this._name, level, msg, args));
+    var record = this.makeRecord(this._name, level, msg, args);
+    if(this._forget) {
+      this._route(record, null);
     } else {
-      promise = Promise.resolve();
+      return this.handle(record);
     }
-
-    return promise;
   },
 
   handleExceptions: function handleExceptions(exitOnError/* = true */) {
@@ -253,20 +549,69 @@ var proto = {
   },
 
   unhandleExceptions: function unhandleExceptions() {
-    process.removeListener('uncaughtException', this._uncaughtException);
-    delete this._uncaughtException;
+    if(this._uncaughtException) {
+      process.removeListener('uncaughtException', this._uncaughtException);
+      delete this._uncaughtException;
+    }
   },
 
-  catchException: function catchException(err) {
-    var exits = this._exitOnError;
+  handleRejections: function handleRejections(exitOnError/* = true */) {
+    this._exitOnRejection = exitOnError === false ? false : true;
+    if(!this._unhandledRejection) {
+      this._unhandledRejection = this.catchRejection.bind(this);
+      process.on('unhandledRejection', this._unhandledRejection);
+    }
+  },
+
+  unhandleRejections: function unhandleRejections() {
+    if(this._unhandledRejection) {
+      process.removeListener('unhandledRejection', this._unhandledRejection);
+      delete this._unhandledRejection;
+    }
+  },
+
+  /**
+   * Max time to wait for handlers before exit on uncaught error
+   * @param timeout {Number} ms
+   * @returns {this}
+   */
+  setExitTimeout: function setExitTimeout(timeout) {
+    this._exitTimeout = timeout;
+    return this;
+  },
 
+  catchException: function catchException(err) {
     var promise = this.error('Uncaught exception handled', err);
-    if(exits) {
-      //XXX: wrap in timeout
-      promise.then(function() {
-        process.exit(1);
-      });
+    if(this._exitOnError) {
+      this._exit(promise);
+    }
+  },
+
+  catchRejection: function catchRejection(reason) {
+    var promise = this.error('Unhandled rejection', reason);
+    if(this._exitOnRejection) {
+      this._exit(promise);
     }
+  },
+
+  /**
+   * Wait for record to be handled, close all handlers and exit,
+   * but no longer then exit timeout
+   * @param promise {Promise} log promise
+   * @param code {Number} optional, exit code, default 1
+   * @api private
+   */
+  _exit: function _exit(promise, code) {
+    var timer;
+    var exit = function() {
+      clearTimeout(timer);
+      process.exit(code == null ? 1 : code);
+    };
+    timer = setTimeout(exit, this._exitTimeout);
+    // in fire-and-forget mode there is no log promise, closing handlers flushes the record
+    Promise.resolve(promise).then(function() {
+      return shutdown();
+    }).then(exit, exit);
   }
 };
 
@@ -275,12 +620,252 @@ for(var prop in proto) {
   Logger.prototype[prop] = proto[prop];
 }
 
-// copy levels to logger
+var levelMethods = {};
+// names registered by addLevel
+var customLevels = {};
+
+function defineLevel(name) {
+  var method = name.toLowerCase();
+  Logger[name] = Logger.prototype[name] = LEVELS[name];
+  Logger.prototype[method] = logAtLevel(name);
+  Logger.prototype['is' + name[0] + method.substring(1) + 'Enabled'] = isEnabledAtLevel(name);
+  levelMethods[method] = true;
+}
+
+// copy levels to logger, OFF only disables and gets no log method
 for(var k in LEVELS) {
-  if(typeof LEVELS[k] === 'number') {
-    Logger[k] = Logger.prototype[k] = LEVELS[k];
-    Logger.prototype[k.toLowerCase()] = logAtLevel(k);
+  if(typeof LEVELS[k] === 'number' && isFinite(LEVELS[k])) {
+    defineLevel(k);
+  }
+}
+Logger.OFF = Logger.prototype.OFF = LEVELS.OFF;
+
+/**
+ * Register new level, it gets constant and log method on every logger
+ * @param name {String} level name, e.g. NOTICE
+ * @param value {Number} level value
+ */
+Logger.addLevel = function addLevel(name, value) {
+  name = Logger.checkLevel(name, value);
+  LEVELS[name] = value;
+  defineLevel(name);
+  customLevels[name] = true;
+};
+
+/**
+ * Throw if level can not be registered with this name and value
+ * @param name {String} level name
+ * @param value {Number} level value
+ * @returns {String} level name in upper case
+ */
+Logger.checkLevel = function checkLevel(name, value) {
+  name = String(name).toUpperCase();
+  if(typeof value !== 'number' || !isFinite(value)) {
+    throw new Error('Level value should be a number: ' + value);
+  }
+  var method = name.toLowerCase();
+  // custom level can be registered again, built-in one can not
+  if(!/^[A-Z_][A-Z0-9_]*$/.test(name) || (name in LEVELS && !customLevels[name]) ||
+    (method in Logger.prototype && !levelMethods[method])) {
+    throw new Error('Cannot use as level name: ' + name);
+  }
+  return name;
+};
+
+/**
+ * Remove level registered by addLevel, built-in levels stay
+ * @param name {String} level name
+ * @returns {Boolean} true if level was removed
+ */
+Logger.removeLevel = function removeLevel(name) {
+  name = String(name).toUpperCase();
+  if(!customLevels[name]) {
+    return false;
+  }
+  var method = name.toLowerCase();
+  delete LEVELS[name];
+  delete Logger[name];
+  delete Logger.prototype[name];
+  delete Logger.prototype[method];
+  delete Logger.prototype['is' + name[0] + method.substring(1) + 'Enabled'];
+  delete levelMethods[method];
+  delete customLevels[name];
+  return true;
+};
+
+/**
+ * All registered loggers by name
+ * @returns {Object}
+ */
+Logger.getLoggers = function getLoggers() {
+  return Object.assign({}, __loggers);
+};
+
+/**
+ * Hierarchy of registered loggers, starting from root. Every node has
+ * name, effective level, handlers, propagate flag and children nodes.
+ * @returns {Object}
+ */
+Logger.getLoggerTree = function getLoggerTree() {
+  var nodes = {};
+  var names = Object.keys(__loggers).sort();
+
+  names.forEach(function(name) {
+    var logger = __loggers[name];
+    var level = logger.getEffectiveLevel();
+    nodes[name] = {
+      name: name,
+      level: level,
+      levelname: LEVELS.getLevelName(level),
+      handlers: logger.getHandlers().slice(),
+      propagate: logger.propagate,
+      children: []
+    };
+  });
+
+  names.forEach(function(name) {
+    var parent = __loggers[name]._parent;
+    if(parent) {
+      nodes[parent._name].children.push(nodes[name]);
+    }
+  });
+
+  return nodes[ROOT];
+};
+
+/**
+ * Remove logger from registry, next getLogger with this name will create new one.
+ * Root logger cannot be removed.
+ * @param name {String}
+ * @returns {boolean} true if logger was removed
+ */
+Logger.removeLogger = function removeLogger(name) {
+  name = name.replace(OTHER_DIVIDERS, DIVIDER);
+  var logger = __loggers[name];
+  if(!logger || name === ROOT) {
+    return false;
+  }
+  logger.unhandleExceptions();
+  logger.unhandleRejections();
+  delete __loggers[name];
+  unlinkLogger(logger);
+  return true;
+};
+
+/**
+ * Remove all loggers except root and clear root handlers, filters and level
+ */
+Logger.reset = function reset() {
+  // not one by one with removeLogger, its children would be moved every time
+  Object.keys(__loggers).forEach(function(name) {
+    if(name !== ROOT) {
+      __loggers[name].unhandleExceptions();
+      __loggers[name].unhandleRejections();
+      delete __loggers[name];
+    }
+  });
+
+  parentNamesCache = Object.create(null);
+  parentNamesCache[ROOT] = [];
+  placeholders = Object.create(null);
+
+  var root = __loggers[ROOT];
+  if(root) {
+    root._children = new Set();
+    root.unhandleExceptions();
+    root.unhandleRejections();
+    root._handlers = [];
+    root._filters = [];
+    root._processors = [];
+    root._level = null;
+    delete root._exitOnError;
+    delete root._exitOnRejection;
+    delete root._exitTimeout;
+    delete root.propagate;
+    delete root._fireAndForget;
+  }
+  refreshCaches();
+};
+
+// the logger with this name or its closest registered parent
+function findLogger(name) {
+  name = name.replace(OTHER_DIVIDERS, DIVIDER);
+  while(!(name in __loggers)) {
+    var index = name.lastIndexOf(DIVIDER);
+    if(index === -1) {
+      return __loggers[ROOT] || new Logger();
+    }
+    name = name.substring(0, index);
   }
+  return __loggers[name];
 }
 
+Logger.lazy = lazyArgs.lazy;
+
+/**
+ * Pass record received from other thread or process to the logger
+ * with the same name. Levels, filters and handlers of local loggers apply.
+ * @param record {Object} deserialized record
+ * @param create {Boolean} optional, false to pass record with unknown name
+ *  to its closest registered parent logger instead of creating new logger
+ */
+Logger.inject = function inject(record, create) {
+  var logger = create === false ? findLogger(record.name) : new Logger(record.name);
+  if(logger.isEnabledFor(record.level)) {
+    logger.dispatch(record);
+  }
+};
+
+/**
+ * Make timestamp and pid of new records constant, so output of tests is
+ * deterministic. Without options restores real time and pid.
+ * @param options {Object} timestamp (Date or ms), pid
+ * @api private
+ */
+Logger.freezeRecords = function freezeRecords(options) {
+  if(options) {
+    frozenTime = +options.timestamp;
+    recordPid = options.pid;
+  } else {
+    frozenTime = null;
+    recordPid = process.pid;
+  }
+};
+
+/**
+ * Replace level rules, which are initially read from LOGGJ_LEVEL
+ * environment variable, and apply them to existing loggers
+ * @param spec {String} rules like `info,app.db=debug,app.http.*=trace,-app.noisy`
+ */
+Logger.setLevelRules = function setLevelRules(spec) {
+  levelRules = env.parse(spec);
+  Logger.applyLevelRules();
+};
+
+/**
+ * Apply level rules to existing loggers, so they override levels set by config.
+ * Loggers named in rules without wildcards are created, so their
+ * descendants inherit the level through the hierarchy.
+ */
+Logger.applyLevelRules = function applyLevelRules() {
+  levelRules.forEach(function(rule) {
+    if(rule.pattern.indexOf('*') === -1) {
+      new Logger(rule.pattern);
+    }
+  });
+  for(var name in __loggers) {
+    var level = env.getLevel(levelRules, name);
+    if(level != null) {
+      __loggers[name]._level = level;
+    }
+  }
+  refreshCaches();
+};
+
+/**
+ * Recompute cached effective levels of all loggers.
+ * Changed loggers and their descendants are updated automatically.
+ */
+Logger.refreshCaches = refreshCaches;
+
 module.exports = Logger;
@@ -0,0 +1,77 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// Mapped diagnostic context: key/value map which follows async call chains,
+// so values set once for a request are available to every record logged inside it.
+
+var AsyncLocalStorage = require('async_hooks').AsyncLocalStorage;
+
+var storage = new AsyncLocalStorage();
+
+/**
+ * Run function with context values, values of outer context are inherited
+ * @param values {Object} context values
+ * @param fn {Function}
+ * @returns {*} whatever fn returns
+ */
+function run(values, fn) {
+  var store = Object.assign({}, storage.getStore(), values);
+  return storage.run(store, fn);
+}
+
+/**
+ * Set value in current context. If there is no context yet, it will be
+ * created for the rest of current execution.
+ * @param key {String}
+ * @param value {*}
+ */
+function set(key, value) {
+  var store = storage.getStore();
+  if (!store) {
+    store = {};
+    storage.enterWith(store);
+  }
+  store[key] = value;
+}
+
+function get(key) {
+  var store = storage.getStore();
+  return store ? store[key] : undefined;
+}
+
+function remove(key) {
+  var store = storage.getStore();
+  if (store) {
+    delete store[key];
+  }
+}
+
+/**
+ * Remove all values from current context
+ */
+function clear() {
+  var store = storage.getStore();
+  if (store) {
+    for (var key in store) {
+      delete store[key];
+    }
+  }
+}
+
+/**
+ * Copy of current context values, used to capture context to log record
+ * @returns {Object|null}
+ * @api private
+ */
+function capture() {
+  var store = storage.getStore();
+  return store ? Object.assign({}, store) : null;
+}
+
+exports.run = run;
+exports.set = set;
+exports.get = get;
+exports.remove = remove;
+exports.clear = clear;
+exports.capture = capture;
@@ -0,0 +1,76 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+var LEVELS = require('./levels');
+
+var SECOND = 1000;
+
+/**
+ * Make processor which drops part of records below WARNING.
+ * Options are rates by level name, e.g. { DEBUG: 0.01, INFO: 0.2 }, plus
+ * adaptive mode options: { adaptive: true, maxPerSecond: 100 }. In adaptive mode
+ * rate is lowered when more than maxPerSecond records came in previous second.
+ * Passed records get sampleRate, so consumers can re-weight counts. It is set
+ * on copy of record made for processors, so other handlers do not see it.
+ * @param options {Object}
+ * @returns {Function} processor
+ */
+function sample(options) {
+  options = options || {};
+
+  var rates = {};
+  for (var name in options) {
+    var level = LEVELS.getLevel(name);
+    if (typeof options[name] === 'number' && level != null) {
+      rates[level] = options[name];
+    }
+  }
+
+  var maxPerSecond = options.adaptive ? (options.maxPerSecond || 100) : 0;
+  var adaptiveRate = 1;
+  var windowStart = 0;
+  var seen = 0;
+  var passed = 0;
+
+  function getAdaptiveRate() {
+    var now = Date.now();
+    if (now - windowStart >= SECOND) {
+      // previous window was the last second, so its load predicts the next one
+      adaptiveRate = (now - windowStart < 2 * SECOND && seen > maxPerSecond) ?
+        maxPerSecond / seen : 1;
+      windowStart = now;
+      seen = 0;
+      passed = 0;
+    }
+    seen++;
+    return passed < maxPerSecond ? adaptiveRate : 0;
+  }
+
+  function sampleProcessor(record) {
+    if (record.level >= LEVELS.WARNING) {
+      return true;
+    }
+
+    var rate = record.level in rates ? rates[record.level] : 1;
+    if (maxPerSecond) {
+      rate *= getAdaptiveRate();
+    }
+
+    if (rate < 1) {
+      if (Math.random() >= rate) {
+        return false;
+      }
+      record.sampleRate = (record.sampleRate || 1) * rate;
+    }
+    if (maxPerSecond) {
+      passed++;
+    }
+    return true;
+  }
+  // runs before lazy arguments are evaluated
+  sampleProcessor.usesMessage = false;
+  return sampleProcessor;
+}
+
+module.exports = sample;
@@ -0,0 +1,96 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+var net = require('net');
+var tls = require('tls');
+
+var Handler = require('./handlers/handler');
+var Logger = require('./logger');
+var deserialize = require('./utils/record').deserialize;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// records come from network, so check what is used to route and format them
+function checkRecord(data) {
+  if (!isObject(data)) {
+    throw new Error('Received record is not an object');
+  }
+  if (typeof data.name !== 'string' || !data.name) {
+    throw new Error('Received record has no name');
+  }
+  if (typeof data.level !== 'number' || isNaN(data.level)) {
+    throw new Error('Received record has no level');
+  }
+  if ((data.fields != null && !isObject(data.fields)) || (data.mdc != null && !isObject(data.mdc))) {
+    throw new Error('Received record has wrong fields or mdc');
+  }
+}
+
+/**
+ * Make server which receives newline-delimited JSON records sent by
+ * SocketHandler and logs them with local loggers of the same name.
+ * Only maxLoggers new loggers are created for received names, records with
+ * other unknown names are logged with their closest existing parent logger.
+ * @param options {Object} tls (tls.createServer options), maxLineLength in bytes (default 1mb),
+ *  maxLoggers (default 1000)
+ * @returns {net.Server|tls.Server} server which should be started with listen()
+ */
+function createServer(options) {
+  options = options || {};
+  var maxLineLength = options.maxLineLength || 1024 * 1024;
+  var maxLoggers = options.maxLoggers != null ? options.maxLoggers : 1000;
+  var names = new Set();
+
+  function inject(record) {
+    var create = names.has(record.name);
+    if (!create && names.size < maxLoggers) {
+      names.add(record.name);
+      create = true;
+    }
+    Logger.inject(record, create);
+  }
+
+  function onConnection(socket) {
+    var buffered = '';
+    socket.setEncoding('utf8');
+
+    socket.on('data', function(chunk) {
+      var lines = (buffered + chunk).split('\n');
+      buffered = lines.pop();
+      if (buffered.length > maxLineLength) {
+        Handler.onError(new Error('Record is longer than ' + maxLineLength + ' bytes, closing connection'));
+        socket.destroy();
+        return;
+      }
+
+      lines.forEach(function(line) {
+        if (!line) {
+          return;
+        }
+        var record;
+        try {
+          var data = JSON.parse(line);
+          checkRecord(data);
+          record = deserialize(data);
+          inject(record);
+        } catch (err) {
+          Handler.onError(err);
+        }
+      });
+    });
+
+    socket.on('error', function(err) {
+      Handler.onError(err);
+    });
+  }
+
+  if (options.tls) {
+    return tls.createServer(options.tls, onConnection);
+  }
+  return net.createServer(onConnection);
+}
+
+module.exports = createServer;
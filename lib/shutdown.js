@@ -0,0 +1,65 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+var Handler = require('./handlers/handler');
+
+function closeHandler(handler) {
+  return new Promise(function(resolve, reject) {
+    handler.close(function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Flush and close every created handler
+ * @param timeout {Number} optional, max time in ms to wait for handlers
+ * @returns {Promise} resolved when all handlers closed or timeout passed
+ */
+module.exports = function shutdown(timeout) {
+  var handlers = Handler.all.slice().reverse();
+  var buffering = handlers.filter(function(handler) {
+    return handler._target;
+  });
+  var others = handlers.filter(function(handler) {
+    return !handler._target;
+  });
+
+  // handlers passing records to target handlers are closed one by one, newest first,
+  // so they flush into targets which are not closed yet, even through a chain of them
+  var error = null;
+  var closing = buffering.reduce(function(previous, handler) {
+    return previous.then(function() {
+      return closeHandler(handler).catch(function(err) {
+        error = error || err;
+      });
+    });
+  }, Promise.resolve()).then(function() {
+    return Promise.all(others.map(closeHandler));
+  }).then(function() {
+    if (error) {
+      throw error;
+    }
+  });
+  if (!timeout) {
+    return closing;
+  }
+
+  var timer;
+  return Promise.race([
+    closing,
+    new Promise(function(resolve) {
+      timer = setTimeout(resolve, timeout);
+    })
+  ]).then(function() {
+    clearTimeout(timer);
+  }, function(err) {
+    clearTimeout(timer);
+    throw err;
+  });
+};
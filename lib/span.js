@@ -0,0 +1,102 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+var crypto = require('crypto');
+
+var Handler = require('./handlers/handler');
+var mdc = require('./mdc');
+
+function newId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Timed operation. Logs start record when created and end record with
+ * elapsed time on end() or fail(). Records of the span have fields
+ * span, spanId and parentSpanId, end records also have duration_ms.
+ * @param logger {Logger} logger to log span records
+ * @param name {String} operation name
+ * @param fields {Object} additional fields for span records
+ * @param options {Object} level of start and end records (default INFO), parent span
+ * @constructor
+ */
+function Span(logger, name, fields, options) {
+  options = options || {};
+
+  this.name = name;
+  this.id = newId();
+  // explicit parent or the one which is running in current async context
+  this.parentId = options.parent ? options.parent.id : (mdc.get('spanId') || null);
+  this.duration = null;
+
+  this._level = options.level || 'INFO';
+  this._logger = logger.child(Object.assign({}, fields, {
+    span: name,
+    spanId: this.id,
+    parentSpanId: this.parentId
+  }));
+  this._start = process.hrtime.bigint();
+
+  // nobody waits for start record, so errors of handlers go to the error hook
+  var started = this._logger._log(this._level, '%s started', ['%s started', name]);
+  if (started) {
+    started.catch(function(err) {
+      Handler.onError(err);
+    });
+  }
+}
+
+Span.prototype = {
+
+  _finish: function finish(level, msg, args) {
+    if (this.duration !== null) {
+      return Promise.resolve();
+    }
+    this.duration = Number(process.hrtime.bigint() - this._start) / 1e6;
+    // fire-and-forget logger returns nothing, but span always returns promise
+    return Promise.resolve(this._logger.child({ duration_ms: this.duration })._log(level, msg, args));
+  },
+
+  /**
+   * End span successfully
+   * @returns {Promise}
+   */
+  end: function end() {
+    return this._finish(this._level, '%s finished', ['%s finished', this.name]);
+  },
+
+  /**
+   * End span with error
+   * @param err {Error}
+   * @returns {Promise}
+   */
+  fail: function fail(err) {
+    var args = ['%s failed', this.name];
+    if (err) {
+      args.push(err);
+    }
+    return this._finish('ERROR', '%s failed', args);
+  },
+
+  /**
+   * Start nested span
+   * @returns {Span}
+   */
+  span: function span(name, fields, options) {
+    return new Span(this._logger, name, fields, Object.assign({ level: this._level }, options, { parent: this }));
+  },
+
+  /**
+   * Run function in context of this span, so spans started inside become
+   * its children and every record gets spanId in mdc
+   * @param fn {Function}
+   * @returns {*} whatever fn returns
+   */
+  run: function run(fn) {
+    return mdc.run({ spanId: this.id }, fn);
+  }
+
+};
+
+module.exports = Span;
@@ -0,0 +1,92 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const rufus = require('./');
+const Logger = require('./logger');
+const Handler = require('./handlers/handler');
+const CaptureHandler = require('./handlers/capture');
+
+/**
+ * Make new capture handler
+ * @param options {Object} handler options
+ * @returns {CaptureHandler}
+ */
+function capture(options) {
+  return new CaptureHandler(options);
+}
+
+/**
+ * Make timestamp and pid of records constant, so formatted output is deterministic
+ * @param options {Object} timestamp (Date or ms, default 0), pid (default 1)
+ */
+function freeze(options) {
+  options = options || {};
+  Logger.freezeRecords({
+    timestamp: options.timestamp != null ? options.timestamp : 0,
+    pid: options.pid != null ? options.pid : 1
+  });
+}
+
+function unfreeze() {
+  Logger.freezeRecords(null);
+}
+
+/**
+ * Replace handlers of root logger with capture handler while fn runs.
+ * When fn returns a promise, handlers are restored after it settles.
+ * Then capture handler is removed from Handler.all, so it is not kept with its records.
+ * @param options {Object} optional, level of root logger while capturing, handler options
+ * @param fn {Function} called with capture handler
+ * @returns {*} whatever fn returns
+ */
+function withCapture(options, fn) {
+  if (typeof options === 'function') {
+    fn = options;
+    options = {};
+  }
+
+  var handler = capture(options);
+  var handlers = rufus._handlers;
+  var level = rufus._level;
+
+  rufus._handlers = [handler];
+  if (options.level != null) {
+    rufus.setLevel(options.level);
+  }
+
+  // capture handler with its records is not needed after fn, so it does not stay in registry
+  function restore() {
+    Handler.unregister(handler);
+    rufus._handlers = handlers;
+    if (options.level != null) {
+      rufus.setLevel(level);
+    }
+  }
+
+  var result;
+  try {
+    result = fn(handler);
+  } catch (err) {
+    restore();
+    throw err;
+  }
+
+  if (result && typeof result.then === 'function') {
+    return result.then(function(value) {
+      restore();
+      return value;
+    }, function(err) {
+      restore();
+      throw err;
+    });
+  }
+  restore();
+  return result;
+}
+
+exports.CaptureHandler = CaptureHandler;
+exports.capture = capture;
+exports.freeze = freeze;
+exports.unfreeze = unfreeze;
+exports.withCapture = withCapture;
@@ -0,0 +1,44 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const rufus = require('./');
+const Logger = require('./logger');
+const PortHandler = require('./handlers/port');
+const recordUtils = require('./utils/record');
+
+/**
+ * Worker side: send all records of this thread to the main thread
+ * @param options {Object} PortHandler options, port defaults to parentPort
+ * @returns {PortHandler} added handler
+ */
+function forward(options) {
+  var handler = new PortHandler(options);
+  rufus.addHandler(handler);
+  return handler;
+}
+
+/**
+ * Main thread side: log records sent by PortHandler of worker
+ * with its threadId in fields
+ * @param source {Worker|MessagePort}
+ * @returns {Function} stops receiving
+ */
+function receive(source) {
+  function onMessage(msg) {
+    if (!msg || msg.type !== recordUtils.MESSAGE_TYPE) {
+      return;
+    }
+    var record = recordUtils.deserialize(msg.record);
+    record.fields = Object.assign({}, record.fields, { threadId: msg.threadId });
+    Logger.inject(record);
+  }
+
+  source.on('message', onMessage);
+  return function stop() {
+    source.removeListener('message', onMessage);
+  };
+}
+
+exports.forward = forward;
+exports.receive = receive;
@@ -0,0 +1,86 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+var Logger = require('./logger');
+
+var SUMMARY = 'suppressed %d similar messages in the last %ss: %s';
+
+/**
+ * Make filter which allows only `limit` records with the same logger name,
+ * level and message template per `interval` ms. When interval ends and some
+ * records were suppressed, one summary record is passed to the logger or
+ * handler which has the filter, with fields of the first suppressed record.
+ * @param options {Object} limit (default 10), interval in ms (default 10000)
+ * @returns {Function} filter
+ */
+function throttle(options) {
+  options = options || {};
+  var limit = options.limit != null ? options.limit : 10;
+  var interval = options.interval || 10000;
+
+  // the same filter can be added to several loggers and handlers, each one is throttled apart
+  var scopes = new WeakMap();
+  var noScope = {};
+
+  function closeWindow(windows, key, owner) {
+    var win = windows[key];
+    delete windows[key];
+    if (!win.suppressed) {
+      return;
+    }
+    var first = win.record;
+    var summary = Object.assign({}, first, {
+      timestamp: new Date(),
+      message: SUMMARY,
+      args: [SUMMARY, win.suppressed, interval / 1000, first.message],
+      lazy: false,
+      err: null,
+      fields: Object.assign({}, first.fields, { suppressed: win.suppressed }),
+      // passes this filter, even if user message is the same as summary
+      throttleSummary: true
+    });
+    delete summary.callSite;
+    delete summary.captureCallSite;
+
+    // dispatch passes handler errors to Handler.onError
+    (owner || new Logger(first.name)).dispatch(summary);
+  }
+
+  return function throttleFilter(record, owner) {
+    if (record.throttleSummary) {
+      return true;
+    }
+
+    var windows = noScope;
+    // child loggers share windows of the logger they are made from
+    while (owner instanceof Logger && !Object.prototype.hasOwnProperty.call(owner, '_name')) {
+      owner = Object.getPrototypeOf(owner);
+    }
+    if (owner) {
+      windows = scopes.get(owner);
+      if (!windows) {
+        windows = {};
+        scopes.set(owner, windows);
+      }
+    }
+
+    var key = record.name + '\u0000' + record.levelname + '\u0000' + record.message;
+    var win = windows[key];
+    if (!win) {
+      win = windows[key] = { record: null, count: 0, suppressed: 0 };
+      setTimeout(closeWindow, interval, windows, key, owner).unref();
+    }
+
+    if (++win.count <= limit) {
+      return true;
+    }
+    if (!win.suppressed) {
+      win.record = record;
+    }
+    win.suppressed++;
+    return false;
+  };
+}
+
+module.exports = throttle;
@@ -0,0 +1,33 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+var path = require('path');
+
+var stack = require('stack-trace');
+
+var LIB_DIR = path.dirname(__dirname) + path.sep;
+
+// frames of Node.js itself, like util.promisify
+var NODE_PREFIX = 'node:';
+
+/**
+ * Find first frame outside of this library and Node.js in current stack
+ * @returns {Object|null} file, line, column and method of caller
+ */
+module.exports = function getCallSite() {
+  var trace = stack.get(getCallSite);
+
+  for (var i = 0, len = trace.length; i < len; i++) {
+    var file = trace[i].getFileName();
+    if (file && file.indexOf(LIB_DIR) !== 0 && file.indexOf(NODE_PREFIX) !== 0) {
+      return {
+        file: file,
+        line: trace[i].getLineNumber(),
+        column: trace[i].getColumnNumber(),
+        method: trace[i].getFunctionName() || '<anonymous>'
+      };
+    }
+  }
+  return null;
+};
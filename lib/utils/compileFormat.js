@@ -1,6 +1,8 @@
 var EOL = require('os').EOL;
 
 var compileTimestamp = require('./strftime').formatter;
+var isError = require('./serializeError').isError;
+var safeStringify = require('./safeStringify');
 
 var spacePadding = new Array(1000).join(' ');
 
@@ -47,7 +49,7 @@ function escapeStringChar(match) {
 
 var MAX_TRACE_LENGTH = 1e10;
 
-function formatError(err, depth) {
+function formatError(err, depth, seen) {
   switch(depth){
     case 'full':
       depth = MAX_TRACE_LENGTH;
@@ -62,16 +64,95 @@ function formatError(err, depth) {
         depth = MAX_TRACE_LENGTH;
       }
   }
-  var trace = err.stack.substr(err.stack.indexOf('\n') + 1).split('\n');
+  if(!isError(err)) {
+    return String(err) + EOL;
+  }
+  seen = seen || [];
+  if(seen.indexOf(err) !== -1) {
+    return '[Circular]' + EOL;
+  }
+  seen.push(err);
+
+  var stack = err.stack || '';
+  var trace = stack.indexOf('\n') === -1 ? [] : stack.substr(stack.indexOf('\n') + 1).split('\n');
   var out = err.name + ': ' + err.message + EOL;
 
   for(var i = 0, len = Math.min(trace.length, depth); i < len; i++) {
     out += trace[i] + EOL;
   }
+
+  if(Array.isArray(err.errors)) {
+    for(var j = 0; j < err.errors.length; j++) {
+      out += 'Error ' + (j + 1) + ' of ' + err.errors.length + ': ' +
+        formatError(err.errors[j], depth, seen);
+    }
+  }
+
+  if(err.cause !== undefined) {
+    out += 'Caused by: ' + formatError(err.cause, depth, seen);
+  }
+  return out;
+}
+
+function formatValue(value) {
+  if(value !== null && typeof value === 'object' && !isError(value)) {
+    return safeStringify(value);
+  }
+  return String(value);
+}
+
+// output object as key=value pairs separated with space
+function formatPairs(obj) {
+  var out = '';
+  if(obj) {
+    for(var key in obj) {
+      if(obj[key] !== undefined) {
+        out += (out ? ' ' : '') + key + '=' + formatValue(obj[key]);
+      }
+    }
+  }
   return out;
 }
 
-var RE = /%(-?\d+)?(\.-?\d+)?(\w+)(?:{([a-zA-Z0-9 ,:\-/\\%]+)})?/g;
+// fields are appended right after message, so separate them with space
+function formatFields(fields) {
+  var out = formatPairs(fields);
+  return out ? ' ' + out : out;
+}
+
+function formatDuration(fields) {
+  return (fields && typeof fields.duration_ms === 'number') ? fields.duration_ms.toFixed(3) + 'ms' : '';
+}
+
+function mdcValue(mdc, key, defaultValue) {
+  var value = mdc ? mdc[key] : undefined;
+  return value === undefined ? defaultValue : formatValue(value);
+}
+
+// tokens of call site, formatter with them needs it to be captured
+var CALL_SITE_TOKENS = {
+  file: "(rec.callSite ? rec.callSite.file : '')",
+  line: "(rec.callSite ? rec.callSite.line : '')",
+  method: "(rec.callSite ? rec.callSite.method : '')",
+  location: "(rec.callSite ? rec.callSite.file + ':' + rec.callSite.line + ':' + rec.callSite.column : '')"
+};
+
+function callSiteToken(name) {
+  return Object.prototype.hasOwnProperty.call(CALL_SITE_TOKENS, name) ? CALL_SITE_TOKENS[name] : null;
+}
+
+// %X{key|default} is value of MDC key, %X is all MDC pairs
+function mdcToken(args) {
+  if(!args) {
+    return '__formatPairs(rec.mdc)';
+  }
+  var sep = args.indexOf('|');
+  var key = sep === -1 ? args : args.slice(0, sep);
+  var defaultValue = sep === -1 ? '' : args.slice(sep + 1);
+  return '__mdcValue(rec.mdc, ' + JSON.stringify(key) + ', ' + JSON.stringify(defaultValue) + ')';
+}
+
+var RE = /%(-?\d+)?(\.-?\d+)?(\w+)(?:{([a-zA-Z0-9 ,:\-/\\%|_.]+)})?/g;
 
 var formatCache = {};
 
@@ -86,8 +167,9 @@ module.exports = function(text, _defaultDateFormat) {
   var source = "__p += '",
     index = 0,
     dateFormats = [],
-    argumentKeys = ['trunc', 'pad', 'formatError'],
-    argumentValues = [trunc, pad, formatError];
+    names = [],
+    argumentKeys = ['trunc', 'pad', 'formatError', 'formatPairs', 'formatFields', 'mdcValue', 'formatDuration'],
+    argumentValues = [trunc, pad, formatError, formatPairs, formatFields, mdcValue, formatDuration];
 
   /*jshint maxcomplexity: 25*/
   text.replace(RE, function(match, pad, trunc, name, args, offset) {
@@ -140,17 +222,27 @@ module.exports = function(text, _defaultDateFormat) {
         .replace(reUnescapedString, escapeStringChar) + "'";
       break;
 
+    case 'fields':
+      replaceVal = "__formatFields(rec.fields)";
+      break;
+
+    case 'duration':
+      replaceVal = "__formatDuration(rec.fields)";
+      break;
+
     case 'err':
     case 'error':
       replaceVal = '(rec.err ? __formatError(rec.err, "' + args + '"): "")';
       break;
 
     case 'X':
-      break; //TODO mdc context value
+      replaceVal = mdcToken(args);
+      break;
 
     default:
-      replaceVal = "''";
+      replaceVal = callSiteToken(name) || "''";
     }
+    names.push(name);
 
     replaceVal = trunc ? '__trunc(' + replaceVal + ',' + trunc + ')'
       : replaceVal;
@@ -185,6 +277,8 @@ module.exports = function(text, _defaultDateFormat) {
   }
 
   result.source = source;
+  // formatter needs call site to be captured
+  result.callSite = names.some(callSiteToken);
 
   formatCache[text] = result;
   return result;
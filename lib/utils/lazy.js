@@ -0,0 +1,61 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+var SLICE = Array.prototype.slice;
+
+/**
+ * Argument which is evaluated only when some handler accepts the record
+ * @param fn {Function}
+ * @constructor
+ * @api private
+ */
+function LazyArg(fn) {
+  this.fn = fn;
+}
+
+function isClass(fn) {
+  return /^class\b/.test(Function.prototype.toString.call(fn));
+}
+
+/**
+ * Mark log argument to be evaluated only when some handler accepts the record.
+ * Function passed as message is lazy without it.
+ * @param fn {Function} returns value of the argument
+ * @returns {Object}
+ */
+function lazy(fn) {
+  return new LazyArg(fn);
+}
+
+// function passed as message, or any argument made by lazy;
+// other functions, like callbacks, are just formatted
+function isLazy(arg, index) {
+  return arg instanceof LazyArg || (index === 0 && typeof arg === 'function' && !isClass(arg));
+}
+
+/**
+ * Call lazy message and arguments of record, only once per record
+ * @param record
+ */
+function resolve(record) {
+  var args = SLICE.call(record.args);
+  for (var i = 0, len = args.length; i < len; i++) {
+    if (isLazy(args[i], i)) {
+      var fn = args[i] instanceof LazyArg ? args[i].fn : args[i];
+      try {
+        args[i] = fn();
+      } catch (err) {
+        // logging should not throw from the place where record is handled
+        args[i] = '[lazy argument failed: ' + (err && err.message) + ']';
+      }
+    }
+  }
+  record.args = args;
+  record.message = args[0];
+  record.lazy = false;
+}
+
+exports.lazy = lazy;
+exports.isLazy = isLazy;
+exports.resolve = resolve;
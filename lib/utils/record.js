@@ -0,0 +1,123 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+var util = require('util');
+
+var serializeError = require('./serializeError');
+var isError = serializeError.isError;
+
+// type of messages with records sent between threads and processes
+var MESSAGE_TYPE = 'loggj:record';
+
+function replaceErrors(key, value) {
+  return isError(value) ? serializeError(value) : value;
+}
+
+// value which survives JSON and structured clone, what cannot be serialized becomes text
+function toPlain(value) {
+  if (value === undefined) {
+    return value;
+  }
+  try {
+    return JSON.parse(JSON.stringify(value, replaceErrors));
+  } catch (err) {
+    return util.inspect(value);
+  }
+}
+
+function toPlainObject(obj) {
+  if (!obj) {
+    return null;
+  }
+  var plain = {};
+  for (var key in obj) {
+    plain[key] = toPlain(obj[key]);
+  }
+  return plain;
+}
+
+function reviveError(obj) {
+  if (!obj || typeof obj !== 'object') {
+    return obj;
+  }
+  var err = new Error(obj.message);
+  Object.keys(obj).forEach(function(key) {
+    var value = obj[key];
+    if (key === 'cause') {
+      value = reviveError(value);
+    } else if (key === 'errors' && Array.isArray(value)) {
+      value = value.map(reviveError);
+    }
+    Object.defineProperty(err, key, {
+      value: value,
+      enumerable: key !== 'name' && key !== 'message' && key !== 'stack',
+      writable: true,
+      configurable: true
+    });
+  });
+  return err;
+}
+
+/**
+ * Convert record to plain object, which can be sent to other thread or process.
+ * Message is interpolated, errors and fields are converted to plain values.
+ * @param record {Object} record produced by Logger.makeRecord
+ * @returns {Object}
+ */
+function serialize(record) {
+  var data = {
+    name: record.name,
+    level: record.level,
+    levelname: record.levelname,
+    timestamp: +record.timestamp,
+    message: typeof record.message === 'string' ? record.message : util.format(record.message),
+    text: util.format.apply(util, record.args),
+    fields: toPlainObject(record.fields),
+    mdc: toPlainObject(record.mdc),
+    pid: record.pid
+  };
+  if (record.err) {
+    data.err = isError(record.err) ? serializeError(record.err) : toPlain(record.err);
+  }
+  if (record.callSite) {
+    data.callSite = record.callSite;
+  }
+  if (record.sampleRate != null) {
+    data.sampleRate = record.sampleRate;
+  }
+  return data;
+}
+
+/**
+ * Make record from data produced by serialize
+ * @param data {Object}
+ * @returns {Object} record
+ */
+function deserialize(data) {
+  var record = {
+    name: data.name,
+    level: data.level,
+    levelname: data.levelname,
+    timestamp: new Date(data.timestamp),
+    // message template stays for filters, text is already interpolated
+    message: data.message,
+    args: ['%s', data.text],
+    lazy: false,
+    err: reviveError(data.err),
+    fields: data.fields,
+    mdc: data.mdc,
+    pid: data.pid
+  };
+  if (data.callSite) {
+    record.callSite = data.callSite;
+  }
+  if (data.sampleRate != null) {
+    record.sampleRate = data.sampleRate;
+  }
+  return record;
+}
+
+exports.MESSAGE_TYPE = MESSAGE_TYPE;
+exports.serialize = serialize;
+exports.deserialize = deserialize;
@@ -0,0 +1,48 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+var util = require('util');
+
+var serializeError = require('./serializeError');
+var isError = serializeError.isError;
+
+/**
+ * JSON.stringify which never throws: circular references become '[Circular]',
+ * BigInt becomes string, errors are serialized with serializeError.
+ * What still can not be stringified, e.g. throwing toJSON, is output by util.inspect.
+ * @param value
+ * @returns {String}
+ */
+function safeStringify(value) {
+  // objects from the root to the current one
+  var ancestors = [];
+
+  function replacer(key, val) {
+    if (typeof val === 'bigint') {
+      return val.toString();
+    }
+    if (isError(val)) {
+      val = serializeError(val);
+    }
+    if (val !== null && typeof val === 'object') {
+      // `this` is the object holding val, what is above it in the stack is already done
+      while (ancestors.length && ancestors[ancestors.length - 1] !== this) {
+        ancestors.pop();
+      }
+      if (ancestors.indexOf(val) !== -1) {
+        return '[Circular]';
+      }
+      ancestors.push(val);
+    }
+    return val;
+  }
+
+  try {
+    return JSON.stringify(value, replacer);
+  } catch (err) {
+    return util.inspect(value);
+  }
+}
+
+module.exports = safeStringify;
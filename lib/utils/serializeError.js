@@ -0,0 +1,59 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+var util = require('util');
+
+var KNOWN_PROPS = ['name', 'message', 'code', 'errno', 'syscall', 'stack'];
+
+function isError(value) {
+  return value instanceof Error || util.types.isNativeError(value);
+}
+
+function serializeValue(value, seen) {
+  return isError(value) ? serializeError(value, seen) : value;
+}
+
+/**
+ * Convert error to plain object which can be passed to JSON.stringify.
+ * Keeps name, message, code, errno, syscall, stack, enumerable custom properties,
+ * cause chain and errors of AggregateError.
+ * @param err {Error}
+ * @param seen {Array} errors already serialized, to stop on circular references
+ * @returns {Object}
+ */
+function serializeError(err, seen) {
+  seen = seen || [];
+  if (seen.indexOf(err) !== -1) {
+    return '[Circular]';
+  }
+  seen.push(err);
+
+  var obj = {};
+  KNOWN_PROPS.forEach(function(key) {
+    if (err[key] != null) {
+      obj[key] = err[key];
+    }
+  });
+
+  Object.keys(err).forEach(function(key) {
+    if (!(key in obj) && key !== 'cause' && key !== 'errors') {
+      obj[key] = serializeValue(err[key], seen);
+    }
+  });
+
+  if (err.cause !== undefined) {
+    obj.cause = serializeValue(err.cause, seen);
+  }
+
+  if (Array.isArray(err.errors)) {
+    obj.errors = err.errors.map(function(e) {
+      return serializeValue(e, seen);
+    });
+  }
+
+  return obj;
+}
+
+module.exports = serializeError;
+module.exports.isError = isError;
@@ -0,0 +1,196 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+var crypto = require('crypto');
+var net = require('net');
+var os = require('os');
+var tls = require('tls');
+
+var CRLF = '\r\n';
+
+// header value without line breaks, non ascii text as encoded word
+function encodeHeader(value) {
+  value = String(value).replace(/[\r\n]+/g, ' ');
+  if (/^[\x20-\x7e]*$/.test(value)) {
+    return value;
+  }
+  return '=?UTF-8?B?' + Buffer.from(value).toString('base64') + '?=';
+}
+
+// address of "Name <user@host>" for envelope commands
+function address(str) {
+  var match = /<([^>]*)>/.exec(str);
+  return match ? match[1] : String(str).trim();
+}
+
+function encodeBody(text) {
+  return Buffer.from(text).toString('base64').replace(/.{76}/g, '$&' + CRLF);
+}
+
+/**
+ * Make message in RFC 5322 format
+ * @param mail {Object} from, to, subject, text
+ * @returns {String}
+ */
+function buildMessage(mail) {
+  return [
+    'From: ' + encodeHeader(mail.from),
+    'To: ' + encodeHeader(mail.to.join(', ')),
+    'Subject: ' + encodeHeader(mail.subject),
+    'Date: ' + new Date().toUTCString().replace('GMT', '+0000'),
+    'Message-ID: <' + crypto.randomBytes(12).toString('hex') + '@' + os.hostname() + '>',
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(mail.text)
+  ].join(CRLF);
+}
+
+/**
+ * Send one mail with plain SMTP, optionally upgraded with STARTTLS
+ * @param options {Object} host, port (default 25), secure (TLS from start), starttls,
+ *  tls (tls.connect options), auth {user, pass}, name (EHLO name), timeout in ms
+ * @param mail {Object} from, to (array), subject, text
+ * @param callback {Function} called with error or null
+ */
+function sendMail(options, mail, callback) {
+  var host = options.host || 'localhost';
+  var port = options.port || (options.secure ? 465 : 25);
+  var tlsOptions = Object.assign({ servername: host }, options.tls);
+
+  var socket;
+  var buffered = '';
+  var lines = [];
+  var waiting = null;
+  var finished = false;
+
+  function finish(err) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    if (err) {
+      socket.destroy();
+    } else {
+      socket.end();
+    }
+    callback(err || null);
+  }
+
+  function onData(chunk) {
+    buffered += chunk;
+    var parts = buffered.split(CRLF);
+    buffered = parts.pop();
+    parts.forEach(function(line) {
+      lines.push(line);
+      // last line of response has space after code, others have dash
+      if (line[3] !== '-') {
+        var response = { code: parseInt(line, 10), text: lines.join('\n') };
+        lines = [];
+        var resolve = waiting;
+        waiting = null;
+        if (resolve) {
+          resolve(response);
+        }
+      }
+    });
+  }
+
+  function listen(s) {
+    socket = s;
+    socket.setEncoding('utf8');
+    socket.setTimeout(options.timeout || 30000, function() {
+      finish(new Error('SMTP timeout'));
+    });
+    socket.on('data', onData);
+    socket.on('error', finish);
+    socket.on('close', function() {
+      finish(new Error('SMTP connection closed'));
+    });
+  }
+
+  function response(expected) {
+    return new Promise(function(resolve) {
+      waiting = resolve;
+    }).then(function(res) {
+      if (res.code !== expected) {
+        throw new Error('SMTP error: ' + res.text);
+      }
+      return res;
+    });
+  }
+
+  function command(line, expected) {
+    socket.write(line + CRLF);
+    return response(expected);
+  }
+
+  function ehlo() {
+    return command('EHLO ' + (options.name || os.hostname()), 250);
+  }
+
+  function starttls(res) {
+    if (!options.starttls || options.secure) {
+      return res;
+    }
+    if (!/STARTTLS/i.test(res.text)) {
+      throw new Error('SMTP server does not support STARTTLS');
+    }
+    return command('STARTTLS', 220).then(function() {
+      var plain = socket;
+      plain.removeAllListeners('data');
+      plain.removeAllListeners('close');
+      plain.setTimeout(0);
+      return new Promise(function(resolve) {
+        listen(tls.connect(Object.assign({ socket: plain }, tlsOptions), resolve));
+      });
+    }).then(ehlo);
+  }
+
+  function auth() {
+    if (!options.auth) {
+      return;
+    }
+    var token = Buffer.from('\u0000' + options.auth.user + '\u0000' + options.auth.pass).toString('base64');
+    return command('AUTH PLAIN ' + token, 235);
+  }
+
+  function send() {
+    var chain = command('MAIL FROM:<' + address(mail.from) + '>', 250);
+    mail.to.forEach(function(to) {
+      chain = chain.then(function() {
+        return command('RCPT TO:<' + address(to) + '>', 250);
+      });
+    });
+    return chain.then(function() {
+      return command('DATA', 354);
+    }).then(function() {
+      // lines starting with dot are escaped by one more dot
+      var message = buildMessage(mail).replace(/^\./gm, '..');
+      return command(message + CRLF + '.', 250);
+    }).then(function() {
+      socket.write('QUIT' + CRLF);
+    });
+  }
+
+  var greeting = response(220);
+  if (options.secure) {
+    listen(tls.connect(Object.assign({ host: host, port: port }, tlsOptions)));
+  } else {
+    listen(net.connect(port, host));
+  }
+
+  greeting
+    .then(ehlo)
+    .then(starttls)
+    .then(auth)
+    .then(send)
+    .then(function() {
+      finish(null);
+    }, finish);
+}
+
+exports.buildMessage = buildMessage;
+exports.sendMail = sendMail;
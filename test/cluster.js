@@ -0,0 +1,48 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+/*global describe: true, it:true*/
+
+var assert = require('assert');
+var cluster = require('cluster');
+var path = require('path');
+
+var rufus = require('../');
+
+describe('cluster', function() {
+  it('should log records of workers in primary', function() {
+    this.timeout(10000);
+    this.slow(2000);
+
+    var settings = Object.assign({}, cluster.settings);
+    cluster.setupPrimary({ exec: path.join(__dirname, 'util/clusterworker.js'), args: [], silent: true });
+
+    return rufus.testing.withCapture({ level: 'INFO' }, function(capture) {
+      var stop = rufus.cluster.setup();
+      var worker = cluster.fork();
+      var pid = worker.process.pid;
+
+      return new Promise(function(resolve, reject) {
+        worker.on('error', reject);
+        worker.on('exit', resolve);
+      }).then(function(code) {
+        stop();
+        assert.strictEqual(code, 0);
+        assert.strictEqual(capture.records.length, 2);
+
+        var info = capture.expectLogged({ name: 'cluster.app', message: 'worker 1 ready' });
+        assert.deepEqual(info.fields, { port: 8080, workerId: worker.id });
+        assert.strictEqual(info.pid, pid);
+        assert.notStrictEqual(info.pid, process.pid);
+
+        var error = capture.expectLogged({ level: 'ERROR', name: 'root', err: /bad/ });
+        assert.strictEqual(error.fields.workerId, worker.id);
+      });
+    }).then(function() {
+      cluster.setupPrimary(settings);
+    }, function(err) {
+      cluster.setupPrimary(settings);
+      throw err;
+    });
+  });
+});
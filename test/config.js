@@ -176,4 +176,127 @@ describe('config', function () {
     var log = rufus.getLogger('test.config.json');
     assert.strictEqual(log._handlers.length, 2);
   });
+
+  it('should configure throttle filter', function () {
+    rufus.config({
+      filters: {
+        'throttle': { type: 'throttle', limit: 1, interval: 1000 }
+      },
+      handlers: {
+        'spy': { 'class': SpyHandler }
+      },
+      loggers: {
+        'test.config.throttle': {
+          'propagate': false,
+          'handlers': ['spy'],
+          'filters': ['throttle']
+        }
+      }
+    });
+
+    var log = rufus.getLogger('test.config.throttle');
+    log.info('same');
+    log.info('same');
+    assert.strictEqual(log._handlers[0].spy.getCallCount(), 1);
+  });
+
+  it('should configure processors for loggers and handlers', function () {
+    rufus.config({
+      processors: {
+        'version': function (record) {
+          record.fields = Object.assign({}, record.fields, { version: '1.0.0' });
+        },
+        'nodebug': function (record) {
+          return record.levelname !== 'DEBUG';
+        }
+      },
+      handlers: {
+        'processed': { 'class': SpyHandler, 'processors': ['nodebug'] }
+      },
+      loggers: {
+        'test.config.processors': {
+          'propagate': false,
+          'handlers': ['processed'],
+          'processors': ['version']
+        }
+      }
+    });
+
+    var log = rufus.getLogger('test.config.processors');
+    var handler = log._handlers[0];
+    log.debug('dropped by handler');
+    log.info('passed');
+    assert.strictEqual(handler.spy.getCallCount(), 1);
+    assert.deepEqual(handler.spy.getLastArgs()[0].fields, { version: '1.0.0' });
+
+    assert.throws(function () {
+      rufus.config({ loggers: { 'test.config.processors': { 'processors': ['missing'] } } });
+    }, /There is no processor with name: missing/);
+  });
+
+  it('should configure memory handler with named target', function () {
+    rufus.config({
+      handlers: {
+        'spy': { 'class': SpyHandler },
+        'buffer': { 'class': 'rufus/handlers/memory', 'target': 'spy', 'capacity': 10, 'flushLevel': 'error' }
+      },
+      loggers: {
+        'test.config.memory': {
+          'propagate': false,
+          'level': 'DEBUG',
+          'handlers': ['buffer']
+        }
+      }
+    });
+
+    var log = rufus.getLogger('test.config.memory');
+    var spyHandler = log._handlers[0]._target;
+    log.debug('context');
+    assert.strictEqual(spyHandler.spy.getCallCount(), 0);
+    log.error('failure');
+    assert.strictEqual(spyHandler.spy.getCallCount(), 2);
+    assert.strictEqual(spyHandler.spy.getLastArgs()[0].message, 'failure');
+  });
+
+  it('should accept short names of built-in handlers', function () {
+    rufus.config({
+      handlers: {
+        'udp': { 'class': 'udp', 'port': 5140 },
+        'null': { 'class': 'Null' }
+      },
+      loggers: {
+        'test.config.short': {
+          'propagate': false,
+          'handlers': ['udp', 'null']
+        }
+      }
+    });
+
+    var handlers = rufus.getLogger('test.config.short')._handlers;
+    assert.ok(handlers[0] instanceof rufus.handlers.Udp);
+    assert.ok(handlers[1] instanceof rufus.handlers.Null);
+  });
+
+  it('should configure sampling for loggers and handlers', function () {
+    rufus.config({
+      handlers: {
+        'sampled': { 'class': SpyHandler, 'sample': { DEBUG: 0 } }
+      },
+      loggers: {
+        'test.config.sample': {
+          'propagate': false,
+          'handlers': ['sampled'],
+          'sample': { INFO: 0 }
+        }
+      }
+    });
+
+    var log = rufus.getLogger('test.config.sample');
+    var handler = log._handlers[0];
+    log.debug('dropped by handler');
+    log.info('dropped by logger');
+    log.warn('passed');
+    assert.strictEqual(handler.spy.getCallCount(), 1);
+    assert.strictEqual(handler.spy.getLastArgs()[0].message, 'passed');
+  });
 });
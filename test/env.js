@@ -0,0 +1,89 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+/*global describe: true, it:true*/
+
+var assert = require('assert');
+var execFileSync = require('child_process').execFileSync;
+var path = require('path');
+
+var rufus = require('../');
+var Logger = rufus.Logger;
+var env = require('../lib/env');
+
+var __counter = 1;
+function unique() {
+  return "env-" + __counter++;
+}
+
+describe('Level rules', function() {
+  it('should parse levels, names, wildcards and negations', function() {
+    var rules = env.parse('info,app.db=debug, app.http.*=trace,-app.noisy app:cache');
+
+    assert.strictEqual(env.getLevel(rules, 'root'), rufus.INFO);
+    assert.strictEqual(env.getLevel(rules, 'app.db'), rufus.DEBUG);
+    assert.strictEqual(env.getLevel(rules, 'app.db.pool'), undefined);
+    assert.strictEqual(env.getLevel(rules, 'app.http.client'), rufus.TRACE);
+    assert.strictEqual(env.getLevel(rules, 'app.http'), undefined);
+    assert.strictEqual(env.getLevel(rules, 'app.noisy'), rufus.OFF);
+    assert.strictEqual(env.getLevel(rules, 'app.cache'), rufus.DEBUG);
+    assert.deepEqual(env.parse(''), []);
+  });
+
+  it('should prefer negation, then the last matching rule', function() {
+    var rules = env.parse('-app.*.tmp,app.*=debug,app.db=error,app.*.tmp=trace');
+
+    assert.strictEqual(env.getLevel(rules, 'app.db'), rufus.ERROR);
+    assert.strictEqual(env.getLevel(rules, 'app.http'), rufus.DEBUG);
+    assert.strictEqual(env.getLevel(rules, 'app.db.tmp'), rufus.OFF);
+  });
+
+  it('should throw on unknown level', function() {
+    assert.throws(function() {
+      env.parse('app=loud');
+    }, /Unknown level "loud"/);
+  });
+
+  it('should apply rules to existing and new loggers', function() {
+    var name = unique();
+    var existing = new Logger(name + '.db');
+    existing.setLevel('ERROR');
+
+    rufus.setLevelRules(name + '.db=debug,' + name + '.http.*=trace,-' + name + '.noisy');
+    try {
+      assert.strictEqual(existing.getEffectiveLevel(), rufus.DEBUG);
+
+      var client = new Logger(name + '.http.client');
+      assert.strictEqual(client.getEffectiveLevel(), rufus.TRACE);
+      assert.ok(client.isTraceEnabled());
+
+      var noisy = new Logger(name + '.noisy.child');
+      assert.strictEqual(noisy.getEffectiveLevel(), rufus.OFF);
+      assert.ok(!noisy.isCriticalEnabled());
+
+      rufus.config({ loggers: (function() {
+        var loggers = {};
+        loggers[name + '.db'] = { level: 'WARN' };
+        return loggers;
+      }()) });
+      assert.strictEqual(existing.getEffectiveLevel(), rufus.DEBUG);
+    } finally {
+      rufus.setLevelRules('');
+    }
+  });
+
+  it('should read LOGGJ_LEVEL environment variable', function() {
+    this.slow(500);
+    var script = [
+      'var loggj = require(' + JSON.stringify(path.join(__dirname, '..')) + ');',
+      'var out = [loggj.getEffectiveLevel(), loggj.getLogger("app.db").getEffectiveLevel(),',
+      '  loggj.getLogger("app.noisy").isCriticalEnabled()];',
+      'process.stdout.write(JSON.stringify(out));'
+    ].join('\n');
+    var out = execFileSync(process.execPath, ['-e', script], {
+      env: Object.assign({}, process.env, { LOGGJ_LEVEL: 'warn,app.db=debug,-app.noisy' }),
+      timeout: 10000
+    });
+    assert.deepEqual(JSON.parse(out), [rufus.WARN, rufus.DEBUG, false]);
+  });
+});
@@ -4,8 +4,11 @@
 /*global describe: true, it:true*/
 
 var assert = require('assert');
+var util = require('util');
+var sinon = require('sinon');
 
 var rufus = require('../');
+var sample = require('../lib/sample');
 
 describe('Filters', function() {
   it('should accept regexp', function() {// regex filter check message
@@ -30,4 +33,203 @@ describe('Filters', function() {
       name: 'food.bar'
     }));
   });
+
+  it('should throttle similar records and log summary', function(done) {
+    var logger = rufus.getLogger('filter.throttle');
+    logger.propagate = false;
+
+    var handler = new rufus.handlers.Capture();
+    var records = handler.records;
+    logger.addHandler(handler);
+    logger.addFilter(rufus.makeFilter({ type: 'throttle', limit: 2, interval: 20 }));
+
+    for (var i = 0; i < 5; i++) {
+      logger.error('db is down: %s', i);
+    }
+    logger.warn('db is down: %s', 5);
+    logger.error('other');
+
+    assert.deepEqual(records.map(function(r) {
+      return util.format.apply(util, r.args);
+    }), ['db is down: 0', 'db is down: 1', 'db is down: 5', 'other']);
+
+    setTimeout(function() {
+      assert.strictEqual(records.length, 5);
+      var summary = records[4];
+      assert.strictEqual(summary.levelname, 'ERROR');
+      assert.strictEqual(summary.fields.suppressed, 3);
+      assert.strictEqual(util.format.apply(util, summary.args),
+        'suppressed 3 similar messages in the last 0.02s: db is down: %s');
+      done();
+    }, 50);
+  });
+
+  it('should pass summary only to handler which throttles', function(done) {
+    var logger = rufus.getLogger('filter.throttle.handler');
+    logger.propagate = false;
+
+    var throttled = new rufus.handlers.Capture();
+    var all = new rufus.handlers.Capture();
+    throttled.addFilter(rufus.makeFilter({ type: 'throttle', limit: 1, interval: 20 }));
+    logger.addHandler(throttled).addHandler(all);
+
+    var child = logger.child({ requestId: 7 });
+    var summaryText = 'suppressed %d similar messages in the last %ss: %s';
+    child.error('timeout');
+    child.error('timeout');
+    child.error(summaryText);
+    child.error(summaryText);
+    assert.deepEqual(throttled.messages(), ['timeout', summaryText]);
+    assert.strictEqual(all.records.length, 4);
+
+    setTimeout(function() {
+      assert.strictEqual(all.records.length, 4);
+      var summaries = throttled.records.slice(2);
+      assert.deepEqual(summaries.map(function(r) {
+        return r.fields;
+      }), [{ requestId: 7, suppressed: 1 }, { requestId: 7, suppressed: 1 }]);
+      logger.removeHandler(throttled).removeHandler(all);
+      done();
+    }, 50);
+  });
+
+  it('should throttle child loggers of the same logger together', function() {
+    var logger = rufus.getLogger('filter.throttle.children');
+    logger.propagate = false;
+    var handler = new rufus.handlers.Capture();
+    logger.addHandler(handler);
+    logger.addFilter(rufus.makeFilter({ type: 'throttle', limit: 2, interval: 20 }));
+
+    for (var i = 0; i < 10; i++) {
+      logger.child({ requestId: i }).error('db down');
+    }
+    assert.strictEqual(handler.records.length, 2);
+  });
+
+  it('should pass errors of summary handlers to error hook', function(done) {
+    var logger = rufus.getLogger('filter.throttle.error');
+    logger.propagate = false;
+
+    var handler = new rufus.handlers.Null();
+    var calls = 0;
+    handler.emit = function(record, callback) {
+      callback(++calls > 1 ? new Error('disk full') : null);
+    };
+    logger.addHandler(handler);
+    logger.addFilter(rufus.makeFilter({ type: 'throttle', limit: 1, interval: 20 }));
+
+    var onError = rufus.Handler.onError;
+    rufus.onError(function(err, h) {
+      rufus.Handler.onError = onError;
+      assert.strictEqual(err.message, 'disk full');
+      assert.strictEqual(h, handler);
+      done();
+    });
+
+    logger.error('db is down');
+    logger.error('db is down');
+  });
+
+  describe('sample', function() {
+    var random;
+    beforeEach(function() {
+      random = sinon.stub(Math, 'random');
+    });
+    afterEach(function() {
+      random.restore();
+    });
+
+    it('should pass part of records by level rate', function() {
+      var f = sample({ DEBUG: 0.1, info: 0.5 });
+
+      random.returns(0.3);
+      var debug = { level: rufus.DEBUG };
+      var info = { level: rufus.INFO };
+      assert.ok(!f(debug));
+      assert.ok(f(info));
+      assert.strictEqual(info.sampleRate, 0.5);
+
+      random.returns(0.99);
+      var warn = { level: rufus.WARN };
+      var verbose = { level: rufus.VERBOSE };
+      assert.ok(f(warn));
+      assert.ok(f(verbose));
+      assert.strictEqual(warn.sampleRate, undefined);
+      assert.strictEqual(verbose.sampleRate, undefined);
+    });
+
+    it('should limit records per second in adaptive mode', function() {
+      var clock = sinon.useFakeTimers(10000);
+      try {
+        var f = sample({ adaptive: true, maxPerSecond: 10 });
+        random.returns(0.5);
+
+        var passed = 0;
+        for (var i = 0; i < 40; i++) {
+          if (f({ level: rufus.INFO })) passed++;
+        }
+        assert.strictEqual(passed, 10);
+        assert.ok(f({ level: rufus.ERROR }));
+
+        clock.tick(1000);
+        random.returns(0.2);
+        var record = { level: rufus.INFO };
+        assert.ok(f(record));
+        assert.strictEqual(record.sampleRate, 0.25);
+        random.returns(0.3);
+        assert.ok(!f({ level: rufus.INFO }));
+      } finally {
+        clock.restore();
+      }
+    });
+
+    it('should set sampleRate only for records of sampling handler', function() {
+      var logger = rufus.getLogger('filter.sample.handlers');
+      logger.propagate = false;
+      var sampled = new rufus.handlers.Capture({ sample: { INFO: 0.5 } });
+      var all = new rufus.handlers.Capture();
+      logger.addHandler(all).addHandler(sampled);
+
+      random.returns(0.3);
+      logger.info('sampled');
+      assert.strictEqual(sampled.records[0].sampleRate, 0.5);
+      assert.strictEqual(all.records[0].sampleRate, undefined);
+
+      var filter = rufus.makeFilter({ type: 'sample', INFO: 0.5 });
+      var record = { level: rufus.INFO };
+      assert.ok(filter(record));
+      assert.strictEqual(record.sampleRate, undefined);
+      random.returns(0.6);
+      assert.ok(!filter(record));
+    });
+
+    it('should drop records before lazy arguments are evaluated', function() {
+      var logger = rufus.getLogger('filter.sample.lazy');
+      logger.propagate = false;
+      logger.setLevel(rufus.DEBUG);
+      var handler = new rufus.handlers.Capture();
+      logger.addHandler(handler);
+      logger.addFilter(rufus.makeFilter('filter.sample'));
+      logger.addProcessor(sample({ DEBUG: 0.5 }));
+      logger.addProcessor(function(record) {
+        record.fields = { upper: record.message.toUpperCase() };
+      });
+
+      var payload = sinon.spy(function() {
+        return 'payload';
+      });
+      random.returns(0.6);
+      logger.debug('got %s', rufus.lazy(payload));
+      assert.ok(!payload.called);
+      assert.strictEqual(handler.records.length, 0);
+
+      random.returns(0.3);
+      logger.debug(function() {
+        return 'got %s';
+      }, rufus.lazy(payload));
+      assert.ok(payload.calledOnce);
+      assert.deepEqual(handler.records[0].args, ['got %s', 'payload']);
+      assert.deepEqual(handler.records[0].fields, { upper: 'GOT %S' });
+    });
+  });
 });
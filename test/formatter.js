@@ -79,11 +79,116 @@ describe('Formatter', function() {
     };
     //      ['timestamp', 'levelname', 'name', 'pid', 'message'].forEach(k => {
     let recordExpected = Object.assign({}, record, {
-      err: e.stack,
+      err: { name: 'Error', message: 'boom', stack: e.stack },
       message: `${message} 1 abc`
     });
     delete recordExpected.args;
 
     assert.strictEqual(formatter.format(record), JSON.stringify(recordExpected) + EOL);
   });
+
+  it('should put record fields to top level of json', function() {
+    var formatter = new rufus.Formatter('json');
+
+    var record = {
+      levelname: 'INFO',
+      name: 'some name',
+      message: 'hi',
+      args: ['hi'],
+      fields: { requestId: 'r1', name: 'ignored' }
+    };
+
+    assert.deepEqual(JSON.parse(formatter.format(record)), {
+      levelname: 'INFO',
+      name: 'some name',
+      message: 'hi',
+      requestId: 'r1'
+    });
+  });
+
+  it('should serialize errors with causes and extra properties to json', function() {
+    var formatter = new rufus.Formatter('json');
+
+    var cause = new Error('connect ECONNREFUSED');
+    cause.code = 'ECONNREFUSED';
+    cause.errno = -111;
+    cause.syscall = 'connect';
+    var e = new Error('query failed', { cause: cause });
+    e.query = 'select 1';
+    var agg = new AggregateError([new TypeError('one'), 'two'], 'many');
+
+    var out = JSON.parse(formatter.format({
+      message: 'oh noes',
+      args: ['oh noes'],
+      err: e,
+      fields: { other: agg }
+    }));
+
+    assert.strictEqual(out.err.message, 'query failed');
+    assert.strictEqual(out.err.query, 'select 1');
+    assert.strictEqual(out.err.stack, e.stack);
+    assert.deepEqual(out.err.cause, {
+      name: 'Error',
+      message: 'connect ECONNREFUSED',
+      code: 'ECONNREFUSED',
+      errno: -111,
+      syscall: 'connect',
+      stack: cause.stack
+    });
+    assert.strictEqual(out.other.name, 'AggregateError');
+    assert.strictEqual(out.other.errors[0].name, 'TypeError');
+    assert.strictEqual(out.other.errors[1], 'two');
+  });
+
+  it('should output causes of an Error', function() {
+    var formatter = new rufus.Formatter('%message%n%err{short}');
+    var cause = new Error('inner');
+    var e = new Error('outer', { cause: cause });
+
+    assert.strictEqual(formatter.format({ message: 'failed', args: ['failed'], err: e }),
+      'failed' + EOL +
+      'Error: outer' + EOL + e.stack.split('\n')[1] + EOL +
+      'Caused by: Error: inner' + EOL + cause.stack.split('\n')[1] + EOL);
+  });
+
+  it('should append fields as key=value', function() {
+    var formatter = new rufus.Formatter('%message%fields');
+    var record = { message: 'hi', args: ['hi'], fields: { userId: 7, tags: ['a'], name: 'bob' } };
+
+    assert.strictEqual(formatter.format(record), 'hi userId=7 tags=["a"] name=bob');
+    assert.strictEqual(formatter.format({ message: 'hi', args: ['hi'] }), 'hi');
+  });
+
+  it('should output duration only when it is a number', function() {
+    var formatter = new rufus.Formatter('%message %duration');
+
+    assert.strictEqual(formatter.format({ message: 'hi', args: ['hi'], fields: { duration_ms: 12.3456 } }), 'hi 12.346ms');
+    assert.strictEqual(formatter.format({ message: 'hi', args: ['hi'], fields: { duration_ms: '12' } }), 'hi ');
+    assert.strictEqual(formatter.format({ message: 'hi', args: ['hi'] }), 'hi ');
+  });
+
+  it('should put json fields under configured key', function() {
+    var formatter = new rufus.Formatter({ format: 'json', fieldsKey: 'meta' });
+    var out = JSON.parse(formatter.format({ name: 'foo', message: 'hi', args: ['hi'], fields: { name: 'bar' } }));
+
+    assert.deepEqual(out, { name: 'foo', message: 'hi', meta: { name: 'bar' } });
+  });
+
+  it('should output circular and BigInt field values', function() {
+    var req = { url: '/', headers: { host: 'a' } };
+    req.self = req;
+    req.headers.req = req;
+    var shared = { id: 1 };
+    var fields = { req: req, count: BigInt(10), pair: [shared, shared] };
+
+    var text = new rufus.Formatter('%message%fields').format({ message: 'hi', args: ['hi'], fields: fields });
+    assert.strictEqual(text,
+      'hi req={"url":"/","headers":{"host":"a","req":"[Circular]"},"self":"[Circular]"} count=10 ' +
+      'pair=[{"id":1},{"id":1}]');
+
+    var out = JSON.parse(new rufus.Formatter('json').format({ message: 'hi', args: ['hi'], fields: fields }));
+    assert.deepEqual(out.req, { url: '/', headers: { host: 'a', req: '[Circular]' }, self: '[Circular]' });
+    assert.strictEqual(out.count, '10');
+    assert.deepEqual(out.pair, [{ id: 1 }, { id: 1 }]);
+  });
 });
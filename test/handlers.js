@@ -3,6 +3,7 @@
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 
 var assert = require('assert');
+var dgram = require('dgram');
 var EventEmitter = require('events').EventEmitter;
 var fs = require('fs');
 var os = require('os');
@@ -11,6 +12,7 @@ var path = require('path');
 var rufus = require('../');
 
 var glob = require('../lib/utils/re-glob');
+var record = require('./util/record').record;
 
 var NOW = Date.now();
 var counter = 1;
@@ -19,10 +21,6 @@ function tmp() {
     'rufus-' + NOW + '-' + process.pid + '-' + (counter++));
 }
 
-function rec(msg, level) {
-  return { message: msg, args: [msg], timestamp: new Date() };
-}
-
 function bytes(x) {
   var b = new Buffer(x);
   b[0] = '<'.charCodeAt(0);
@@ -79,6 +77,33 @@ describe('Handler', function () {
           done();
         });
     });
+
+    it('should use processors on copy of record', function () {
+      var h = new rufus.Handler();
+      var lastRecord;
+      h.emit = function (record, callback) {
+        lastRecord = record;
+        callback();
+      };
+
+      h.addProcessor(function (record) {
+        record.fields.host = 'web-1';
+      });
+      h.addProcessor(function (record) {
+        return record.message !== 'drop';
+      });
+
+      var record = { name: 'foo', message: 'keep', fields: { a: 1 } };
+      return h.handle(record).then(function () {
+        assert.deepEqual(lastRecord.fields, { a: 1, host: 'web-1' });
+        assert.deepEqual(record.fields, { a: 1 });
+
+        lastRecord = null;
+        return h.handle({ name: 'foo', message: 'drop', fields: {} });
+      }).then(function () {
+        assert.strictEqual(lastRecord, null);
+      });
+    });
   });
 
   describe('emit', function () {
@@ -191,6 +216,280 @@ describe('File', function () {
   });
 });
 
+describe('Memory', function () {
+  function target() {
+    var h = new rufus.handlers.Capture();
+    return h;
+  }
+
+  describe('constructor', function () {
+    it('should require target', function () {
+      assert.throws(function () {
+        return new rufus.handlers.Memory({ capacity: 2 });
+      }, /requires target/);
+    });
+  });
+
+  describe('handle', function () {
+    it('should flush on flush level', function () {
+      var t = target();
+      var h = new rufus.handlers.Memory({ target: t, flushLevel: 'WARN' });
+
+      return h.handle(record('debug', { level: rufus.DEBUG })).then(function () {
+        assert.strictEqual(t.records.length, 0);
+        return h.handle(record('warn', { level: rufus.WARN }));
+      }).then(function () {
+        assert.deepEqual(t.messages(), ['debug', 'warn']);
+        return h.handle(record('info', { level: rufus.INFO }));
+      }).then(function () {
+        assert.strictEqual(t.records.length, 2);
+      });
+    });
+
+    it('should flush when buffer is full or on flush()', function (done) {
+      var t = target();
+      t.setLevel(rufus.INFO);
+      var h = new rufus.handlers.Memory({ target: t, capacity: 2 });
+
+      h.handle(record('a', { level: rufus.INFO }));
+      h.handle(record('dropped by target level', { level: rufus.DEBUG })).then(function () {
+        assert.deepEqual(t.messages(), ['a']);
+        h.handle(record('b', { level: rufus.INFO }));
+        h.flush(function (err) {
+          assert.ifError(err);
+          assert.deepEqual(t.messages(), ['a', 'b']);
+          done();
+        });
+      }).catch(done);
+    });
+
+    it('should capture call site for target while record is logged', function () {
+      var t = new rufus.handlers.Capture({ format: '%message %location', callSite: true });
+      var h = new rufus.handlers.Memory({ target: t });
+      var logger = rufus.getLogger('memory.callsite');
+      logger.propagate = false;
+      logger.addHandler(h);
+
+      logger.info('buffered');
+      return logger.error('flushing').then(function () {
+        logger.removeHandler(h);
+        assert.deepEqual(t.records.map(function (r) {
+          return r.callSite.file;
+        }), [__filename, __filename]);
+      });
+    });
+
+    it('should drop records after close', function (done) {
+      var t = target();
+      var h = new rufus.handlers.Memory({ target: t });
+      var onError = rufus.Handler.onError;
+      var errors = [];
+      rufus.onError(function (err) {
+        errors.push(err.message);
+      });
+      h.close(function () {
+        h.handle(record('late', { level: rufus.ERROR })).then(function () {
+          h.flush(function () {
+            rufus.Handler.onError = onError;
+            assert.strictEqual(t.records.length, 0);
+            assert.deepEqual(errors, ['Handler is closed, records logged after shutdown are dropped']);
+            done();
+          });
+        }).catch(done);
+      });
+    });
+  });
+});
+
+describe('Udp', function () {
+  function listen(type, host) {
+    var server = dgram.createSocket(type);
+    server.messages = [];
+    server.on('message', function (msg) {
+      server.messages.push(msg.toString());
+    });
+    return new Promise(function (resolve) {
+      server.bind(0, host, function () {
+        resolve(server);
+      });
+    });
+  }
+
+  function send(handler, records) {
+    return Promise.all(records.map(function (record) {
+      return handler.handle(record);
+    })).then(function () {
+      return new Promise(function (resolve) {
+        handler.close(resolve);
+      });
+    });
+  }
+
+  function waitMessages(server, count) {
+    return new Promise(function (resolve) {
+      (function check() {
+        if (server.messages.length >= count) {
+          server.close();
+          resolve(server.messages);
+        } else {
+          setTimeout(check, 5);
+        }
+      }());
+    });
+  }
+
+  describe('constructor', function () {
+    it('should validate options', function () {
+      assert.throws(function () {
+        return new rufus.handlers.Udp({});
+      }, /requires port/);
+      assert.throws(function () {
+        return new rufus.handlers.Udp({ port: 514, oversize: 'wrap' });
+      }, /Unknown oversize policy/);
+    });
+  });
+
+  describe('handle', function () {
+    it('should send formatted records', function () {
+      return listen('udp4', '127.0.0.1').then(function (server) {
+        var handler = new rufus.handlers.Udp({
+          host: '127.0.0.1',
+          port: server.address().port,
+          formatter: new rufus.Formatter({ format: 'json' })
+        });
+        return send(handler, [record('over udp')]).then(function () {
+          return waitMessages(server, 1);
+        });
+      }).then(function (messages) {
+        var obj = JSON.parse(messages[0]);
+        assert.strictEqual(obj.message, 'over udp');
+        assert.strictEqual(obj.levelname, 'INFO');
+      });
+    });
+
+    it('should truncate, chunk or drop oversized records', function () {
+      function check(oversize, expected) {
+        return listen('udp4', '127.0.0.1').then(function (server) {
+          var handler = new rufus.handlers.Udp({
+            host: '127.0.0.1',
+            port: server.address().port,
+            maxSize: 10,
+            oversize: oversize,
+            formatter: new rufus.Formatter('%message')
+          });
+          return send(handler, [record('012345678\u00e9abc'), record('short')]).then(function () {
+            return waitMessages(server, expected.length);
+          });
+        }).then(function (messages) {
+          assert.deepEqual(messages.sort(), expected.sort());
+        });
+      }
+
+      return check('truncate', ['012345678', 'short']).then(function () {
+        return check('chunk', ['012345678', '\u00e9abc', 'short']);
+      }).then(function () {
+        return check('drop', ['short']);
+      });
+    });
+
+    it('should send over IPv6', function () {
+      return listen('udp6', '::1').then(function (server) {
+        var handler = new rufus.handlers.Udp({
+          host: '::1',
+          port: server.address().port,
+          formatter: new rufus.Formatter('%message')
+        });
+        return send(handler, [record('over ipv6')]).then(function () {
+          return waitMessages(server, 1);
+        });
+      }).then(function (messages) {
+        assert.deepEqual(messages, ['over ipv6']);
+      });
+    });
+  });
+});
+
+describe('shutdown', function () {
+  it('should close file handlers', function (done) {
+    var filename = tmp();
+    var handler = new rufus.handlers.File({
+      file: filename,
+      formatter: new rufus.Formatter('%message%n')
+    });
+    handler.handle({ message: 'last words', args: ['last words'] });
+    rufus.shutdown().then(function () {
+      assert.ok(handler._stream.writableFinished);
+      assert.equal(fs.readFileSync(filename, 'utf8'), 'last words\n');
+    }).then(done, done);
+  });
+
+  it('should flush memory handlers before closing their targets', function (done) {
+    var filename = tmp();
+    var file = new rufus.handlers.File({
+      file: filename,
+      formatter: new rufus.Formatter('%message%n')
+    });
+    var memory = new rufus.handlers.Memory({ target: file });
+    memory.handle({ message: 'buffered', args: ['buffered'], level: rufus.DEBUG });
+    rufus.shutdown().then(function () {
+      assert.equal(fs.readFileSync(filename, 'utf8'), 'buffered\n');
+    }).then(done, done);
+  });
+
+  it('should close buffering handlers before their targets', function (done) {
+    var events = [];
+    var target = new rufus.handlers.Null();
+    target.emit = function (record, callback) {
+      setTimeout(function () {
+        events.push(record.message);
+        callback();
+      }, 10);
+    };
+    target.close = function (callback) {
+      events.push('target closed');
+      callback();
+    };
+    var memory = new rufus.handlers.Memory({ target: target });
+    var outer = new rufus.handlers.Memory({ target: memory });
+    outer.handle({ message: 'buffered', args: ['buffered'], level: rufus.DEBUG });
+    rufus.shutdown().then(function () {
+      assert.deepEqual(events, ['buffered', 'target closed']);
+    }).then(done, done);
+  });
+
+  it('should drop records logged to closed file handler', function (done) {
+    var filename = tmp();
+    var handler = new rufus.handlers.File({
+      file: filename,
+      formatter: new rufus.Formatter('%message%n')
+    });
+    var errors = [];
+    var onError = rufus.Handler.onError;
+    rufus.onError(function (err, h) {
+      errors.push([err.message, h]);
+    });
+    rufus.shutdown().then(function () {
+      handler.dispatch({ message: 'late', args: ['late'] });
+      return handler.handle({ message: 'later', args: ['later'] });
+    }).then(function () {
+      rufus.Handler.onError = onError;
+      assert.deepEqual(errors, [['Handler is closed, records logged after shutdown are dropped', handler]]);
+      assert.equal(fs.readFileSync(filename, 'utf8'), '');
+    }).then(done, function (err) {
+      rufus.Handler.onError = onError;
+      done(err);
+    });
+  });
+
+  it('should not wait longer then timeout', function (done) {
+    var handler = new rufus.handlers.Null();
+    handler.close = function () {};
+    rufus.shutdown(10).then(function () {
+      rufus.Handler.all.splice(rufus.Handler.all.indexOf(handler), 1);
+    }).then(done, done);
+  });
+});
+
 describe('Console', function () {
   describe('constructor', function () {
     it('should use stdout and stderr', function () {
@@ -255,9 +554,9 @@ describe('Console', function () {
       });
 
       assert.strictEqual(handler._file, filename);
-      handler.handle(rec(bytes(60)));
-      handler.handle(rec(bytes(50)));
-      handler.handle(rec(bytes(45))).then(function () {
+      handler.handle(record(bytes(60)));
+      handler.handle(record(bytes(50)));
+      handler.handle(record(bytes(45))).then(function () {
         assert.strictEqual(fs.statSync(filename).size, 46);
         assert.strictEqual(fs.statSync(filename + '.1').size, 51);
         assert.strictEqual(fs.statSync(filename + '.2').size, 61);
@@ -277,11 +576,11 @@ describe('Console', function () {
 
       var times = 0;
       var interval = setInterval(function() {
-        handler.handle(rec(bytes(50)));
+        handler.handle(record(bytes(50)));
         times += 1;
         if(times > 3) {
           clearInterval(interval);
-          handler.handle(rec(bytes(45))).then(function () {
+          handler.handle(record(bytes(45))).then(function () {
             //glob(handler._remover.filesFormat, function(err, matches) {
             //  console.log(matches);
             //});
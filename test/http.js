@@ -0,0 +1,254 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+/*global describe: true, it:true*/
+
+var assert = require('assert');
+var http = require('http');
+var zlib = require('zlib');
+
+var rufus = require('../');
+var serialize = require('../lib/utils/record').serialize;
+var record = require('./util/record').record;
+
+var HTTP_TEST = { name: 'http.test', fields: { n: 1 } };
+
+// collector which answers with given statuses, then with 200
+function createCollector(statuses) {
+  statuses = statuses || [];
+  var server = http.createServer(function(req, res) {
+    var chunks = [];
+    req.on('data', function(chunk) {
+      chunks.push(chunk);
+    });
+    req.on('end', function() {
+      var body = Buffer.concat(chunks);
+      if (req.headers['content-encoding'] === 'gzip') {
+        body = zlib.gunzipSync(body);
+      }
+      server.requests.push({ method: req.method, headers: req.headers, body: body.toString() });
+      res.statusCode = statuses.length ? statuses.shift() : 200;
+      res.end();
+    });
+  });
+  server.requests = [];
+  return new Promise(function(resolve) {
+    server.listen(0, '127.0.0.1', function() {
+      server.url = 'http://127.0.0.1:' + server.address().port + '/logs';
+      resolve(server);
+    });
+  });
+}
+
+function messages(body) {
+  return body.trim().split('\n').map(function(line) {
+    return JSON.parse(line).text;
+  });
+}
+
+function flush(handler) {
+  return new Promise(function(resolve) {
+    handler.flush(resolve);
+  });
+}
+
+function catchErrors(errors, fn) {
+  var onError = rufus.Handler.onError;
+  rufus.onError(function(err) {
+    errors.push(err);
+  });
+  return Promise.resolve().then(fn).then(function() {
+    rufus.Handler.onError = onError;
+  }, function(err) {
+    rufus.Handler.onError = onError;
+    throw err;
+  });
+}
+
+describe('Http', function() {
+  it('should validate options', function() {
+    assert.throws(function() {
+      return new rufus.handlers.Http({});
+    }, /requires url/);
+    assert.throws(function() {
+      return new rufus.handlers.Http({ url: 'http://localhost/', bodyFormat: 'xml' });
+    }, /Unknown body format: xml/);
+    assert.throws(function() {
+      return new rufus.handlers.Http({ url: 'http://localhost/', drop: 'random' });
+    }, /Unknown drop policy: random/);
+  });
+
+  it('should send ndjson batch when batch is full', function() {
+    return createCollector().then(function(server) {
+      var handler = new rufus.handlers.Http({
+        url: server.url,
+        batchSize: 2,
+        interval: 60000,
+        headers: { Authorization: 'Bearer token' }
+      });
+      handler.handle(record('one', HTTP_TEST));
+      handler.handle(record('two', HTTP_TEST));
+      handler.handle(record('three', HTTP_TEST));
+
+      return new Promise(function(resolve) {
+        (function check() {
+          return server.requests.length ? resolve() : setTimeout(check, 5);
+        }());
+      }).then(function() {
+        var req = server.requests[0];
+        assert.strictEqual(req.method, 'POST');
+        assert.strictEqual(req.headers['content-type'], 'application/x-ndjson');
+        assert.strictEqual(req.headers.authorization, 'Bearer token');
+        assert.deepEqual(messages(req.body), ['one', 'two']);
+        assert.strictEqual(JSON.parse(req.body.split('\n')[0]).fields.n, 1);
+
+        return flush(handler);
+      }).then(function() {
+        assert.strictEqual(server.requests.length, 2);
+        assert.deepEqual(messages(server.requests[1].body), ['three']);
+        server.close();
+      });
+    });
+  });
+
+  it('should send gzipped json array after interval', function() {
+    return createCollector().then(function(server) {
+      var handler = new rufus.handlers.Http({ url: server.url, bodyFormat: 'json', gzip: true, interval: 10 });
+      handler.handle(record('one', HTTP_TEST));
+      handler.handle(record('two', HTTP_TEST));
+
+      return new Promise(function(resolve) {
+        (function check() {
+          return server.requests.length ? resolve() : setTimeout(check, 5);
+        }());
+      }).then(function() {
+        var req = server.requests[0];
+        assert.strictEqual(req.headers['content-type'], 'application/json');
+        assert.strictEqual(req.headers['content-encoding'], 'gzip');
+        assert.deepEqual(JSON.parse(req.body).map(function(data) {
+          return data.text;
+        }), ['one', 'two']);
+        server.close();
+      });
+    });
+  });
+
+  it('should retry on 5xx response', function() {
+    var errors = [];
+    return catchErrors(errors, function() {
+      return createCollector([503, 500]).then(function(server) {
+        var handler = new rufus.handlers.Http({ url: server.url, minDelay: 5 });
+        handler.handle(record('one', HTTP_TEST));
+        return flush(handler).then(function() {
+          assert.strictEqual(server.requests.length, 3);
+          assert.deepEqual(messages(server.requests[2].body), ['one']);
+          assert.strictEqual(handler.dropped, 0);
+          assert.strictEqual(errors.length, 0);
+          server.close();
+        });
+      });
+    });
+  });
+
+  it('should drop batch on 4xx response', function() {
+    var errors = [];
+    return catchErrors(errors, function() {
+      return createCollector([400]).then(function(server) {
+        var handler = new rufus.handlers.Http({ url: server.url, minDelay: 5 });
+        handler.handle(record('one', HTTP_TEST));
+        handler.handle(record('two', HTTP_TEST));
+        return flush(handler).then(function() {
+          assert.strictEqual(server.requests.length, 1);
+          assert.strictEqual(handler.dropped, 2);
+          assert.strictEqual(errors.length, 1);
+          assert.strictEqual(errors[0].statusCode, 400);
+          server.close();
+        });
+      });
+    });
+  });
+
+  it('should give up after maxRetries on connection errors', function() {
+    var errors = [];
+    return catchErrors(errors, function() {
+      return createCollector().then(function(server) {
+        var url = server.url;
+        return new Promise(function(resolve) {
+          server.close(resolve);
+        }).then(function() {
+          var handler = new rufus.handlers.Http({ url: url, maxRetries: 2, minDelay: 5 });
+          handler.handle(record('one', HTTP_TEST));
+          return new Promise(function(resolve) {
+            handler.close(resolve);
+          }).then(function() {
+            assert.strictEqual(handler.dropped, 1);
+            assert.strictEqual(errors.length, 1);
+            assert.strictEqual(errors[0].code, 'ECONNREFUSED');
+          });
+        });
+      });
+    });
+  });
+
+  it('should drop oldest or newest records over maxBuffer bytes', function() {
+    // records of the same size, two of them fit
+    var size = Buffer.byteLength(JSON.stringify(serialize(record('one', HTTP_TEST))));
+    return createCollector().then(function(server) {
+      var oldest = new rufus.handlers.Http({ url: server.url, maxBuffer: size * 2.5 });
+      var newest = new rufus.handlers.Http({ url: server.url, maxBuffer: size * 2.5, drop: 'newest' });
+      [oldest, newest].forEach(function(handler) {
+        handler.handle(record('one', HTTP_TEST));
+        handler.handle(record('two', HTTP_TEST));
+        handler.handle(record('six', HTTP_TEST));
+        assert.strictEqual(handler.dropped, 1);
+      });
+
+      return flush(oldest).then(function() {
+        return flush(newest);
+      }).then(function() {
+        assert.deepEqual(messages(server.requests[0].body), ['two', 'six']);
+        assert.deepEqual(messages(server.requests[1].body), ['one', 'two']);
+        server.close();
+      });
+    });
+  });
+
+  it('should drop record bigger than maxBuffer', function() {
+    var handler = new rufus.handlers.Http({ url: 'http://127.0.0.1:1/logs', maxBuffer: 100 });
+    handler.handle(record(new Array(101).join('x'), HTTP_TEST));
+    assert.strictEqual(handler.dropped, 1);
+    assert.strictEqual(handler._queue.length, 0);
+  });
+
+  it('should finish request when connection is closed during response', function() {
+    var server = http.createServer(function(req, res) {
+      req.resume();
+      req.on('end', function() {
+        res.writeHead(200);
+        res.flushHeaders();
+        setImmediate(function() {
+          req.socket.destroy();
+        });
+      });
+    });
+    var errors = [];
+    return new Promise(function(resolve) {
+      server.listen(0, '127.0.0.1', resolve);
+    }).then(function() {
+      var handler = new rufus.handlers.Http({
+        url: 'http://127.0.0.1:' + server.address().port + '/logs',
+        maxRetries: 1,
+        minDelay: 10
+      });
+      handler.handle(record('one', HTTP_TEST));
+      return catchErrors(errors, function() {
+        return flush(handler);
+      }).then(function() {
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(handler.dropped, 1);
+        assert.strictEqual(handler._sending, false);
+        server.close();
+      });
+    });
+  });
+});
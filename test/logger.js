@@ -4,10 +4,12 @@
 /*global describe: true, it:true*/
 
 var assert = require('assert');
+var os = require('os');
 var sinon = require('sinon');
 
 var rufus = require('../');
 var Logger = rufus.Logger;
+var LEVELS = require('../lib/levels');
 
 var __counter = 1;
 function unique() {
@@ -57,6 +59,64 @@ describe('Logger', function() {
     assert.strictEqual(child.getEffectiveLevel(), rufus.ERROR);
   });
 
+  it('should update cached effective level when hierarchy changes', function() {
+    var topName = unique();
+    var top = new Logger(topName).setLevel(rufus.INFO);
+    var leaf = new Logger(topName + '.a.b');
+    assert.strictEqual(leaf.getEffectiveLevel(), rufus.INFO);
+    assert.strictEqual(leaf._parent, top);
+
+    top.setLevel(rufus.ERROR);
+    assert.ok(!leaf.isWarnEnabled());
+
+    var middle = new Logger(topName + '.a').setLevel(rufus.DEBUG);
+    assert.strictEqual(leaf._parent, middle);
+    assert.ok(leaf.isDebugEnabled());
+
+    var child = leaf.child({ id: 1 });
+    assert.ok(child.isDebugEnabled());
+    child.setLevel(rufus.WARN);
+    assert.ok(!child.isInfoEnabled());
+    assert.ok(leaf.isInfoEnabled());
+
+    rufus.removeLogger(topName + '.a');
+    assert.strictEqual(leaf.getEffectiveLevel(), rufus.ERROR);
+  });
+
+  it('should relink only loggers below created or removed one', function() {
+    var topName = unique();
+    var leaf = new Logger(topName + '.a.b.c');
+    var sibling = new Logger(topName + '.ab');
+    var top = new Logger(topName).setLevel(rufus.ERROR);
+    assert.strictEqual(leaf._parent, top);
+    assert.strictEqual(sibling._parent, top);
+
+    var middle = new Logger(topName + '.a.b').setLevel(rufus.DEBUG);
+    var upper = new Logger(topName + '.a');
+    assert.strictEqual(leaf._parent, middle);
+    assert.strictEqual(middle._parent, upper);
+    assert.strictEqual(sibling._parent, top);
+    assert.strictEqual(leaf.getEffectiveLevel(), rufus.DEBUG);
+
+    rufus.removeLogger(topName + '.a.b');
+    assert.strictEqual(leaf._parent, upper);
+    assert.strictEqual(leaf.getEffectiveLevel(), rufus.ERROR);
+    rufus.removeLogger(topName + '.a');
+    assert.strictEqual(leaf._parent, top);
+
+    // removed names are waited for again
+    var created = new Logger(topName + '.a.b').setLevel(rufus.INFO);
+    assert.strictEqual(leaf._parent, created);
+    assert.strictEqual(created._parent, top);
+    assert.strictEqual(leaf.getEffectiveLevel(), rufus.INFO);
+    assert.strictEqual(new Logger(topName + '.a')._parent, top);
+    assert.strictEqual(created._parent._name, topName + '.a');
+
+    top.setLevel(rufus.WARN);
+    assert.strictEqual(sibling.getEffectiveLevel(), rufus.WARN);
+    assert.strictEqual(leaf.getEffectiveLevel(), rufus.INFO);
+  });
+
   it('should make record', function() {
     var name = unique();
     var logger = new Logger(name);
@@ -77,6 +137,393 @@ describe('Logger', function() {
     assert.strictEqual(record.err, err);
   });
 
+  it('should stamp bound fields of child logger onto records', function() {
+    var name = unique();
+    var logger = new Logger(name);
+    logger.propagate = false;
+
+    var handler = spyHandler();
+    logger.addHandler(handler);
+
+    var child = logger.child({ requestId: 'r1' });
+    child.info('foo');
+
+    var record = handler.handle.lastCall.args[0];
+    assert.strictEqual(record.name, name);
+    assert.deepEqual(record.fields, { requestId: 'r1' });
+
+    logger.info('bar');
+    assert.strictEqual(handler.handle.lastCall.args[0].fields, null);
+  });
+
+  it('should merge fields of nested child loggers', function() {
+    var logger = new Logger(unique());
+    logger.propagate = false;
+    logger.setLevel(rufus.INFO);
+
+    var handler = spyHandler();
+    logger.addHandler(handler);
+
+    var child = logger.child({ requestId: 'r1', userId: 1 }).child({ userId: 2 });
+    child.debug('ignored');
+    assert.ok(!handler.handle.called);
+
+    child.info('foo');
+    assert.deepEqual(handler.handle.lastCall.args[0].fields, { requestId: 'r1', userId: 2 });
+  });
+
+  it('should evaluate lazy arguments only when some handler accepts record', function() {
+    var logger = new Logger(unique());
+    logger.propagate = false;
+    logger.setLevel(rufus.DEBUG);
+
+    var handler = spyHandler(rufus.INFO);
+    logger.addHandler(handler);
+
+    var payload = sinon.spy(function() {
+      return 'payload';
+    });
+
+    logger.debug('got %s', rufus.lazy(payload));
+    assert.ok(!payload.called);
+    assert.ok(!handler.handle.called);
+
+    logger.info(function() {
+      return 'got %s';
+    }, rufus.lazy(payload));
+    assert.ok(payload.calledOnce);
+
+    var record = handler.handle.lastCall.args[0];
+    assert.strictEqual(record.message, 'got %s');
+    assert.deepEqual(record.args, ['got %s', 'payload']);
+  });
+
+  it('should not call functions passed as plain arguments', function() {
+    var logger = new Logger(unique());
+    logger.propagate = false;
+    var handler = spyHandler();
+    logger.addHandler(handler);
+
+    var callback = sinon.spy();
+    function Klass() {}
+    class Es6Class {}
+
+    logger.info('got %s %s', callback, Klass);
+    logger.info(Es6Class);
+    assert.ok(!callback.called);
+    var args = handler.handle.firstCall.args[0].args;
+    assert.strictEqual(args[1], callback);
+    assert.strictEqual(args[2], Klass);
+    assert.strictEqual(handler.handle.secondCall.args[0].message, Es6Class);
+  });
+
+  it('should put placeholder of throwing lazy argument', function() {
+    var logger = new Logger(unique());
+    logger.propagate = false;
+    var handler = spyHandler();
+    logger.addHandler(handler);
+
+    assert.doesNotThrow(function() {
+      logger.info('got %s', rufus.lazy(function() {
+        throw new Error('no payload');
+      }));
+    });
+    assert.deepEqual(handler.handle.lastCall.args[0].args, ['got %s', '[lazy argument failed: no payload]']);
+  });
+
+  it('should have is<Level>Enabled helpers', function() {
+    var logger = new Logger(unique());
+    logger.setLevel(rufus.INFO);
+
+    assert.ok(!logger.isDebugEnabled());
+    assert.ok(!logger.isTraceEnabled());
+    assert.ok(logger.isInfoEnabled());
+    assert.ok(logger.isWarnEnabled());
+    assert.ok(logger.isCriticalEnabled());
+  });
+
+  it('should show loggers hierarchy', function() {
+    var parentName = unique();
+    var parent = new Logger(parentName).setLevel(rufus.WARN);
+    parent.propagate = false;
+    var handler = new rufus.handlers.Null();
+    parent.addHandler(handler);
+    var childName = parentName + '.a.' + unique();
+    new Logger(childName);
+
+    assert.strictEqual(rufus.getLoggers()[parentName], parent);
+
+    var tree = rufus.getLoggerTree();
+    assert.strictEqual(tree.name, 'root');
+
+    var node = tree.children.filter(function(n) {
+      return n.name === parentName;
+    })[0];
+    assert.strictEqual(node.levelname, 'WARNING');
+    assert.strictEqual(node.propagate, false);
+    assert.deepEqual(node.handlers, [handler]);
+    assert.strictEqual(node.children.length, 1);
+    assert.strictEqual(node.children[0].name, childName);
+    assert.strictEqual(node.children[0].level, rufus.WARN);
+  });
+
+  it('should remove loggers', function() {
+    var name = unique();
+    var logger = new Logger(name);
+
+    assert.ok(rufus.removeLogger(name));
+    assert.ok(!rufus.removeLogger(name));
+    assert.ok(!rufus.removeLogger('root'));
+    assert.notStrictEqual(new Logger(name), logger);
+  });
+
+  it('should reset to initial state', function() {
+    var oldHandlers = rufus._handlers;
+    var oldLevel = rufus._level;
+
+    var name = unique();
+    var logger = new Logger(name + '.child');
+    rufus.addHandler(new rufus.handlers.Null());
+    rufus.addFilter(rufus.makeFilter('nothing'));
+    rufus.setLevel(rufus.ERROR);
+
+    rufus.reset();
+
+    assert.strictEqual(rufus._handlers.length, 0);
+    assert.strictEqual(rufus._filters.length, 0);
+    assert.strictEqual(rufus.getEffectiveLevel(), rufus.DEBUG);
+    assert.deepEqual(Object.keys(rufus.getLoggers()), ['root']);
+    assert.notStrictEqual(new Logger(name + '.child'), logger);
+
+    rufus._handlers = oldHandlers;
+    rufus.setLevel(oldLevel);
+  });
+
+  it('should register custom levels', function() {
+    rufus.addLevel('NOTICE', 35, { color: 'cyan', alias: 'N' });
+
+    assert.strictEqual(rufus.NOTICE, 35);
+    assert.strictEqual(Logger.N, 35);
+    assert.strictEqual(new Logger(unique()).setLevel('notice').getEffectiveLevel(), 35);
+
+    var logger = new Logger(unique());
+    logger.propagate = false;
+    logger.setLevel('n');
+
+    var handler = spyHandler();
+    logger.addHandler(handler);
+
+    logger.info('foo');
+    logger.notice('bar');
+    assert.ok(handler.handle.calledOnce);
+    assert.strictEqual(handler.handle.lastCall.args[0].level, 35);
+    assert.strictEqual(handler.handle.lastCall.args[0].levelname, 'NOTICE');
+    assert.ok(logger.isNoticeEnabled());
+
+    assert.ok(rufus.removeLevel('NOTICE'));
+    assert.ok(rufus.removeLevel('n'));
+    assert.ok(!rufus.removeLevel('INFO'));
+    assert.strictEqual(rufus.NOTICE, undefined);
+    assert.strictEqual(Logger.N, undefined);
+    assert.ok(!('notice' in logger));
+    assert.strictEqual(LEVELS.getLevelName(35), '35');
+  });
+
+  it('should not allow to override logger methods with levels', function() {
+    assert.throws(function() {
+      rufus.addLevel('LOG', 35);
+    }, /Cannot use as level name/);
+    assert.throws(function() {
+      rufus.addLevel('ALERT', 'high');
+    }, /should be a number/);
+  });
+
+  it('should not allow to register built-in levels again', function() {
+    ['INFO', 'OFF', 'NOTSET'].forEach(function(name) {
+      assert.throws(function() {
+        rufus.addLevel(name, 35);
+      }, /Cannot use as level name/);
+      assert.ok(!rufus.removeLevel(name));
+    });
+    assert.strictEqual(LEVELS.INFO, 30);
+    assert.strictEqual(LEVELS.OFF, Infinity);
+    assert.strictEqual(LEVELS.NOTSET, 0);
+    assert.strictEqual(typeof rufus.info, 'function');
+  });
+
+  it('should not set color of level which is not registered', function() {
+    var color = sinon.spy(function(str) {
+      return str;
+    });
+    assert.throws(function() {
+      rufus.addLevel('ALERT', 'high', { color: color });
+    }, /should be a number/);
+    assert.throws(function() {
+      rufus.addLevel('ALERT', 45, { color: color, alias: 'LOG' });
+    }, /Cannot use as level name/);
+    assert.strictEqual(rufus.ALERT, undefined);
+
+    var handler = new rufus.handlers.Console({ format: '%message' });
+    [undefined, 45].forEach(function(level) {
+      handler._out.format({ name: 'root', level: level, timestamp: new Date(), message: 'x', args: ['x'] });
+    });
+    assert.ok(!color.called);
+  });
+
+  it('should capture call site only when formatter needs it', function() {
+    var logger = new Logger(unique());
+    logger.propagate = false;
+
+    function handler(format, options) {
+      var h = new rufus.handlers.Null(options);
+      h.setFormatter(new rufus.Formatter(format));
+      h.emit = function(record, callback) {
+        this.out = this.format(record);
+        callback();
+      };
+      logger.addHandler(h);
+      return h;
+    }
+
+    var plain = handler('%message');
+    var located = handler('%method %file:%line %message');
+
+    logger.info('no capture');
+    assert.strictEqual(plain.out, 'no capture');
+    assert.strictEqual(located.out, ' : no capture');
+
+    logger.setCallSite(true);
+    (function callerFn() {
+      logger.info('capture');
+    })();
+    assert.strictEqual(plain.out, 'capture');
+    assert.ok(located.out.indexOf('callerFn ' + __filename + ':') === 0, located.out);
+
+    logger.removeHandler(plain).removeHandler(located).setCallSite(false);
+    var handlerOnly = handler('%location', { callSite: true });
+    logger.info('handler capture');
+    assert.ok(/:\d+:\d+$/.test(handlerOnly.out), handlerOnly.out);
+    assert.ok(handlerOnly.out.indexOf(__filename + ':') === 0, handlerOnly.out);
+
+    logger.removeHandler(handlerOnly);
+    var json = handler('json');
+    logger.info('json no capture');
+    assert.strictEqual(JSON.parse(json.out).callSite, undefined);
+
+    logger.removeHandler(json);
+    var jsonWithCallSite = handler('json', { callSite: true });
+    logger.info('json capture');
+    assert.strictEqual(JSON.parse(jsonWithCallSite.out).callSite.file, __filename);
+
+    logger.removeHandler(jsonWithCallSite).addHandler(json).setCallSite(true);
+    logger.info('json logger capture');
+    assert.strictEqual(JSON.parse(json.out).callSite.file, __filename);
+  });
+
+  it('should log signal once and exit after shutdown in fire-and-forget mode', function() {
+    rufus.setFireAndForget(true);
+    return rufus.testing.withCapture(function(capture) {
+      return new Promise(function(resolve) {
+        var exit = sinon.stub(process, 'exit', function(code) {
+          exit.restore();
+          resolve(code);
+        });
+        var listeners = process.listenerCount('SIGUSR2');
+        rufus.handleSignals(['SIGUSR2']);
+        rufus.handleSignals(['SIGUSR2']);
+        assert.strictEqual(process.listenerCount('SIGUSR2'), listeners + 1);
+        process.emit('SIGUSR2', 'SIGUSR2');
+      }).then(function(code) {
+        assert.strictEqual(code, 128 + os.constants.signals.SIGUSR2);
+        assert.strictEqual(capture.records.length, 1);
+        capture.expectLogged({ level: 'WARNING', message: 'Received SIGUSR2, shutting down' });
+      });
+    }).then(function() {
+      rufus.setFireAndForget(null);
+    }, function(err) {
+      rufus.setFireAndForget(null);
+      throw err;
+    });
+  });
+
+  it('should log unhandled rejections and exit after shutdown', function(done) {
+    var logger = new Logger(unique());
+    logger.propagate = false;
+
+    var handler = new rufus.handlers.Capture();
+    var records = handler.records;
+    var close = sinon.spy(handler, 'close');
+    logger.addHandler(handler);
+
+    var exit = sinon.stub(process, 'exit', function(code) {
+      exit.restore();
+      assert.strictEqual(code, 1);
+      assert.strictEqual(records[0].message, 'Unhandled rejection');
+      assert.strictEqual(records[0].err.message, 'boom');
+      assert.ok(close.calledOnce);
+      done();
+    });
+
+    logger.handleRejections();
+    assert.strictEqual(typeof logger._unhandledRejection, 'function');
+    logger.unhandleRejections();
+    assert.ok(!logger._unhandledRejection);
+
+    logger.catchRejection(new Error('boom'));
+  });
+
+  it('should exit after exit timeout if handlers hang', function(done) {
+    var logger = new Logger(unique());
+    logger.propagate = false;
+    logger.setExitTimeout(10);
+
+    var handler = new rufus.handlers.Null();
+    handler.emit = function(record, callback) {};
+    logger.addHandler(handler);
+
+    var exit = sinon.stub(process, 'exit', function(code) {
+      exit.restore();
+      assert.strictEqual(code, 1);
+      done();
+    });
+
+    logger.catchException(new Error('boom'));
+  });
+
+  it('should find errors in the middle of arguments', function() {
+    var logger = new Logger(unique());
+    var err = new Error('boom');
+    var record = logger.makeRecord(logger._name, 'ERROR', 'failed %s, retry in %d', ['failed %s, retry in %d', err, 5]);
+
+    assert.strictEqual(record.err, err);
+    assert.deepEqual(record.args, ['failed %s, retry in %d', 'Error: boom', 5]);
+  });
+
+  it('should take plain objects as fields', function() {
+    var logger = new Logger(unique()).child({ requestId: 'r1' });
+    var err = new Error('boom');
+
+    var record = logger.makeRecord(logger._name, 'INFO', 'user logged in', ['user logged in', { userId: 7 }]);
+    assert.deepEqual(record.fields, { requestId: 'r1', userId: 7 });
+    assert.deepEqual(record.args, ['user logged in']);
+
+    record = logger.makeRecord(logger._name, 'INFO', { userId: 7 }, [{ userId: 7 }, 'user %s logged in', 'bob', err]);
+    assert.deepEqual(record.fields, { requestId: 'r1', userId: 7 });
+    assert.deepEqual(record.args, ['user %s logged in', 'bob']);
+    assert.strictEqual(record.message, 'user %s logged in');
+    assert.strictEqual(record.err, err);
+
+    record = logger.makeRecord(logger._name, 'ERROR', 'failed', ['failed', err, { userId: 7 }]);
+    assert.deepEqual(record.fields, { requestId: 'r1', userId: 7 });
+    assert.deepEqual(record.args, ['failed']);
+    assert.strictEqual(record.err, err);
+
+    // interpolated object is not a field
+    record = logger.makeRecord(logger._name, 'INFO', 'user %j', ['user %j', { userId: 7 }]);
+    assert.deepEqual(record.fields, { requestId: 'r1' });
+    assert.strictEqual(record.args.length, 2);
+  });
+
   /*it('should call its handlers', function() {
     var logger = new Logger(unique());
     logger.propagate = false;
@@ -141,6 +588,48 @@ describe('Logger', function() {
     assert.ok(handler.handle.calledTwice);
   });
 
+  it('should process records before handlers in order', function() {
+    var parent = new Logger(unique());
+    var logger = new Logger(parent._name + '.' + unique());
+    parent.propagate = false;
+
+    var childHandler = spyHandler();
+    var parentHandler = spyHandler();
+    logger.addHandler(childHandler);
+    parent.addHandler(parentHandler);
+
+    logger.addProcessor(function(record) {
+      record.fields = Object.assign({ version: '1.2.3' }, record.fields);
+    });
+    logger.addProcessor(function(record) {
+      if(record.fields.user) {
+        return Object.assign({}, record, {
+          fields: { version: record.fields.version, userId: record.fields.user }
+        });
+      }
+    });
+    parent.addProcessor(function(record) {
+      return record.message !== 'secret';
+    });
+
+    var bound = logger.child({ user: 'bob' });
+    bound.info('foo');
+    var record = childHandler.handle.lastCall.args[0];
+    assert.deepEqual(record.fields, { version: '1.2.3', userId: 'bob' });
+    assert.deepEqual(parentHandler.handle.lastCall.args[0].fields, record.fields);
+    assert.deepEqual(bound._fields, { user: 'bob' });
+
+    logger.info('secret');
+    assert.ok(childHandler.handle.calledTwice);
+    assert.ok(parentHandler.handle.calledOnce);
+
+    logger.addProcessor(function() {
+      return null;
+    });
+    logger.info('dropped');
+    assert.ok(childHandler.handle.calledTwice);
+  });
+
   it('should allow to filter log records', function() {
     var logger = new Logger(unique());
     logger.propagate = false;
@@ -173,6 +662,119 @@ describe('Logger', function() {
       assert.strictEqual(err.message, 'foo');
     }).then(done);
   });
+
+  it('should wait for all handlers when two of them are called', function() {
+    var logger = new Logger(unique());
+    logger.propagate = false;
+
+    var finished = [];
+    function slowHandler(name, delay) {
+      var h = new rufus.handlers.Null();
+      h.emit = function(record, callback) {
+        setTimeout(function() {
+          finished.push(name);
+          callback();
+        }, delay);
+      };
+      return h;
+    }
+    logger.addHandler(slowHandler('fast', 0)).addHandler(slowHandler('slow', 20));
+
+    return logger.info('foo').then(function() {
+      assert.deepEqual(finished.sort(), ['fast', 'slow']);
+    });
+  });
+
+  it('should log without promises in fire-and-forget mode', function() {
+    var parent = new Logger(unique());
+    var logger = new Logger(parent._name + '.' + unique());
+    parent.propagate = false;
+    parent.setFireAndForget(true);
+
+    var h = new rufus.handlers.Capture();
+    var records = h.records;
+    h.handle = function() {
+      throw new Error('handle should not be called');
+    };
+    parent.addHandler(h);
+
+    assert.ok(logger.isFireAndForget());
+    assert.strictEqual(logger.info('foo'), undefined);
+    assert.strictEqual(logger.trace('disabled'), undefined);
+    assert.strictEqual(logger.child({ a: 1 }).warn('bar'), undefined);
+    assert.deepEqual(records.map(function(r) {
+      return r.message;
+    }), ['foo', 'bar']);
+
+    // descendants can stay awaitable
+    logger.setFireAndForget(false);
+    assert.ok(!logger.isFireAndForget());
+    assert.ok(parent.isFireAndForget());
+
+    logger.setFireAndForget(null);
+    assert.ok(logger.isFireAndForget());
+  });
+
+  it('should route handler errors to error hook in fire-and-forget mode', function() {
+    var logger = new Logger(unique());
+    logger.propagate = false;
+    logger.setFireAndForget(true);
+
+    var h1 = new rufus.handlers.Null();
+    h1.emit = function(record, callback) {
+      throw new Error('thrown');
+    };
+    var h2 = new rufus.handlers.Null();
+    h2.emit = function(record, callback) {
+      callback(new Error('passed'));
+    };
+    logger.addHandler(h1).addHandler(h2);
+
+    var onError = rufus.Handler.onError;
+    var errors = [];
+    rufus.onError(function(err, handler) {
+      errors.push([err.message, handler]);
+    });
+    try {
+      logger.info('foo');
+    } finally {
+      rufus.Handler.onError = onError;
+    }
+
+    assert.deepEqual(errors, [['passed', h2], ['thrown', h1]]);
+  });
+
+  it('should call handle of handlers without dispatch in fire-and-forget mode', function() {
+    var logger = new Logger(unique());
+    logger.propagate = false;
+    logger.setFireAndForget(true);
+
+    var spy = spyHandler();
+    var failing = spyHandler(0, function() {
+      return Promise.reject(new Error('rejected'));
+    });
+    var throwing = spyHandler(0, function() {
+      throw new Error('thrown');
+    });
+    logger.addHandler(spy).addHandler(failing).addHandler(throwing);
+
+    var onError = rufus.Handler.onError;
+    var errors = [];
+    rufus.onError(function(err, handler) {
+      errors.push([err.message, handler]);
+    });
+
+    logger.info('foo');
+    Logger.inject({ name: logger._name, level: rufus.INFO, message: 'injected', args: ['injected'] });
+    assert.strictEqual(spy.handle.callCount, 2);
+    assert.strictEqual(spy.handle.firstCall.args[0].message, 'foo');
+    assert.strictEqual(spy.handle.secondCall.args[0].message, 'injected');
+
+    return Promise.resolve().then(function() {
+      rufus.Handler.onError = onError;
+      assert.deepEqual(errors, [['thrown', throwing], ['thrown', throwing], ['rejected', failing], ['rejected', failing]]);
+    });
+  });
 });
 
 module.exports = {
@@ -0,0 +1,69 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+/*global describe: true, it:true*/
+
+var assert = require('assert');
+
+var rufus = require('../');
+var Logger = rufus.Logger;
+
+var __counter = 1;
+function unique() {
+  return "mdc-" + __counter++;
+}
+
+describe('MDC', function() {
+  it('should keep values through async calls', function(done) {
+    rufus.mdc.run({ traceId: 't1' }, function() {
+      setTimeout(function() {
+        Promise.resolve().then(function() {
+          assert.strictEqual(rufus.mdc.get('traceId'), 't1');
+          done();
+        });
+      }, 1);
+    });
+    assert.strictEqual(rufus.mdc.get('traceId'), undefined);
+  });
+
+  it('should inherit values of outer context', function() {
+    rufus.mdc.run({ traceId: 't1', user: 'a' }, function() {
+      rufus.mdc.run({ user: 'b' }, function() {
+        assert.strictEqual(rufus.mdc.get('traceId'), 't1');
+        assert.strictEqual(rufus.mdc.get('user'), 'b');
+      });
+      assert.strictEqual(rufus.mdc.get('user'), 'a');
+    });
+  });
+
+  it('should allow to set and remove values', function() {
+    rufus.mdc.run({}, function() {
+      rufus.mdc.set('traceId', 't2');
+      assert.strictEqual(rufus.mdc.get('traceId'), 't2');
+      rufus.mdc.remove('traceId');
+      assert.strictEqual(rufus.mdc.get('traceId'), undefined);
+    });
+  });
+
+  it('should be captured into records', function() {
+    var logger = new Logger(unique());
+    logger.propagate = false;
+
+    var last;
+    var handler = new rufus.handlers.Null();
+    handler.emit = function(record, callback) {
+      last = record;
+      callback();
+    };
+    handler.setFormatter(new rufus.Formatter('%X{traceId} %X{user|anonymous} [%X] %message'));
+    logger.addHandler(handler);
+
+    rufus.mdc.run({ traceId: 't3' }, function() {
+      logger.info('foo');
+      rufus.mdc.set('traceId', 'changed');
+    });
+
+    assert.deepEqual(last.mdc, { traceId: 't3' });
+    assert.strictEqual(handler.format(last), 't3 anonymous [traceId=t3] foo');
+  });
+});
@@ -0,0 +1,231 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+/*global describe: true, it:true*/
+
+var assert = require('assert');
+var net = require('net');
+
+var rufus = require('../');
+var smtp = require('../lib/utils/smtp');
+var record = require('./util/record').record;
+
+var DB_ERROR = { name: 'app.db', level: rufus.ERROR };
+var HTTP_ERROR = { name: 'app.http', level: rufus.ERROR };
+
+// stand-in SMTP server, which keeps commands and received messages
+function createSmtpServer(options) {
+  options = options || {};
+  var server = net.createServer(function(socket) {
+    var session = { commands: [], data: '' };
+    server.sessions.push(session);
+    var inData = false;
+    var buffered = '';
+    socket.setEncoding('utf8');
+    socket.write('220 localhost ESMTP\r\n');
+
+    socket.on('data', function(chunk) {
+      buffered += chunk;
+      if (inData) {
+        var end = buffered.indexOf('\r\n.\r\n');
+        if (end === -1) {
+          return;
+        }
+        session.data = buffered.substring(0, end);
+        buffered = buffered.substring(end + 5);
+        inData = false;
+        server.messages.push(session.data);
+        socket.write('250 OK queued\r\n');
+      }
+      var lines = buffered.split('\r\n');
+      buffered = lines.pop();
+      lines.forEach(function(line) {
+        session.commands.push(line);
+        var verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO') {
+          socket.write('250-localhost\r\n250 AUTH PLAIN\r\n');
+        } else if (verb === 'AUTH') {
+          socket.write(options.rejectAuth ? '535 Authentication failed\r\n' : '235 OK\r\n');
+        } else if (verb === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (verb === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      });
+    });
+  });
+  server.sessions = [];
+  server.messages = [];
+  return new Promise(function(resolve) {
+    server.listen(0, '127.0.0.1', function() {
+      resolve(server);
+    });
+  });
+}
+
+function parseMessage(data) {
+  var parts = data.split('\r\n\r\n');
+  var headers = {};
+  parts[0].split('\r\n').forEach(function(line) {
+    var i = line.indexOf(': ');
+    headers[line.substring(0, i)] = line.substring(i + 2);
+  });
+  return { headers: headers, text: Buffer.from(parts[1].replace(/\r\n/g, ''), 'base64').toString() };
+}
+
+describe('smtp', function() {
+  it('should send mail with auth and dot stuffing', function(done) {
+    createSmtpServer().then(function(server) {
+      smtp.sendMail({
+        host: '127.0.0.1',
+        port: server.address().port,
+        auth: { user: 'bob', pass: 'secret' },
+        name: 'client.local'
+      }, {
+        from: 'Logs <logs@example.com>',
+        to: ['ops@example.com', 'dev@example.com'],
+        subject: 'Ошибка\r\nBcc: evil@example.com',
+        text: 'line\n.dot line'
+      }, function(err) {
+        assert.ifError(err);
+        var commands = server.sessions[0].commands;
+        assert.deepEqual(commands.slice(0, 5), [
+          'EHLO client.local',
+          'AUTH PLAIN ' + Buffer.from('\u0000bob\u0000secret').toString('base64'),
+          'MAIL FROM:<logs@example.com>',
+          'RCPT TO:<ops@example.com>',
+          'RCPT TO:<dev@example.com>'
+        ]);
+        var message = parseMessage(server.messages[0]);
+        assert.strictEqual(message.headers.To, 'ops@example.com, dev@example.com');
+        assert.strictEqual(message.headers.Subject,
+          '=?UTF-8?B?' + Buffer.from('Ошибка Bcc: evil@example.com').toString('base64') + '?=');
+        assert.strictEqual(message.text, 'line\n.dot line');
+        server.close(done);
+      });
+    });
+  });
+
+  it('should fail on rejected command', function(done) {
+    createSmtpServer({ rejectAuth: true }).then(function(server) {
+      smtp.sendMail({
+        host: '127.0.0.1',
+        port: server.address().port,
+        auth: { user: 'bob', pass: 'wrong' }
+      }, { from: 'a@example.com', to: ['b@example.com'], subject: 's', text: 't' }, function(err) {
+        assert.ok(/535 Authentication failed/.test(err.message));
+        server.close(done);
+      });
+    });
+  });
+});
+
+describe('Smtp', function() {
+  it('should validate options', function() {
+    assert.throws(function() {
+      return new rufus.handlers.Smtp({ to: 'ops@example.com' });
+    }, /requires from and to/);
+    assert.throws(function() {
+      return new rufus.handlers.Smtp({ from: 'a@b', to: 'c@d', groupBy: 'level' });
+    }, /can group by message or name/);
+  });
+
+  it('should send grouped digest per interval', function() {
+    this.slow(500);
+    return createSmtpServer().then(function(server) {
+      var handler = new rufus.handlers.Smtp({
+        host: '127.0.0.1',
+        port: server.address().port,
+        from: 'logs@example.com',
+        to: 'ops@example.com',
+        interval: 20,
+        maxPerGroup: 2,
+        maxGroups: 2,
+        subject: '[%level] %logger: %message',
+        formatter: new rufus.Formatter('%logger %message')
+      });
+      assert.strictEqual(handler.level, rufus.ERROR);
+
+      handler.handle(record('query failed', DB_ERROR));
+      handler.handle(record('query failed', DB_ERROR));
+      handler.handle(record('query failed', DB_ERROR));
+      handler.handle(record('bad gateway', HTTP_ERROR));
+      handler.handle(record('timeout', HTTP_ERROR));
+      handler.handle(record('deadlock', DB_ERROR));
+
+      return new Promise(function(resolve) {
+        (function check() {
+          return server.messages.length ? resolve() : setTimeout(check, 5);
+        }());
+      }).then(function() {
+        var message = parseMessage(server.messages[0]);
+        assert.strictEqual(message.headers.Subject, '[ERROR] app.db: query failed (+5 more)');
+        assert.strictEqual(message.text, [
+          '3 x query failed',
+          '',
+          'app.db query failed',
+          'app.db query failed',
+          '... and 1 more',
+          '',
+          '1 x bad gateway',
+          '',
+          'app.http bad gateway',
+          '',
+          '... and 2 other messages'
+        ].join('\n'));
+        server.close();
+      });
+    });
+  });
+
+  it('should cap emails per hour and send the rest on close', function() {
+    this.slow(500);
+    return createSmtpServer().then(function(server) {
+      var handler = new rufus.handlers.Smtp({
+        host: '127.0.0.1',
+        port: server.address().port,
+        from: 'logs@example.com',
+        to: 'ops@example.com',
+        groupBy: 'name',
+        interval: 10,
+        maxPerHour: 1
+      });
+
+      handler.handle(record('first', DB_ERROR));
+      return new Promise(function(resolve) {
+        setTimeout(resolve, 50);
+      }).then(function() {
+        handler.handle(record('second', DB_ERROR));
+        handler.handle(record('third', DB_ERROR));
+        return new Promise(function(resolve) {
+          setTimeout(resolve, 50);
+        });
+      }).then(function() {
+        assert.strictEqual(server.messages.length, 1);
+        return new Promise(function(resolve, reject) {
+          handler.close(function(err) {
+            return err ? reject(err) : resolve();
+          });
+        });
+      }).then(function() {
+        assert.strictEqual(server.messages.length, 2);
+        var message = parseMessage(server.messages[1]);
+        assert.ok(/^2 x app\.db\n/.test(message.text));
+
+        var onError = rufus.Handler.onError;
+        var errors = [];
+        rufus.onError(function(err) {
+          errors.push(err.message);
+        });
+        handler.handle(record('after close', DB_ERROR));
+        rufus.Handler.onError = onError;
+        assert.strictEqual(handler._count, 0);
+        assert.deepEqual(errors, ['Handler is closed, records logged after shutdown are dropped']);
+        server.close();
+      });
+    });
+  });
+});
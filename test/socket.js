@@ -0,0 +1,160 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+/*global describe: true, it:true*/
+
+var assert = require('assert');
+var net = require('net');
+
+var rufus = require('../');
+
+var fixture = require('./util/record');
+var close = fixture.close;
+var record = fixture.record;
+var tmpSocket = fixture.tmpSocket;
+
+function waitFor(capture, count) {
+  return new Promise(function(resolve) {
+    (function check() {
+      if (capture.records.length >= count) {
+        resolve();
+      } else {
+        setTimeout(check, 5);
+      }
+    }());
+  });
+}
+
+describe('Socket', function() {
+  it('should send records to server over tcp', function() {
+    this.slow(500);
+    var server = rufus.createServer();
+
+    return rufus.testing.withCapture(function(capture) {
+      return new Promise(function(resolve) {
+        server.listen(0, '127.0.0.1', resolve);
+      }).then(function() {
+        var handler = new rufus.handlers.Socket({ host: '127.0.0.1', port: server.address().port });
+        handler.handle(record('first', { name: 'socket.remote', fields: { n: 1 } }));
+        handler.handle(record('second 100%', { name: 'socket.remote' }));
+        return close(handler);
+      }).then(function() {
+        return waitFor(capture, 2);
+      }).then(function() {
+        assert.deepEqual(capture.messages(), ['first', 'second 100%']);
+        var received = capture.expectLogged({ name: 'socket.remote', fields: { n: 1 } });
+        assert.strictEqual(received.pid, 42);
+      });
+    }).then(function() {
+      server.close();
+    });
+  });
+
+  it('should buffer records until connected over unix socket', function() {
+    this.slow(1000);
+    var file = tmpSocket();
+    var server = rufus.createServer();
+    var errors = [];
+    var onError = rufus.Handler.onError;
+    rufus.onError(function(err) {
+      errors.push(err);
+    });
+
+    return rufus.testing.withCapture(function(capture) {
+      var handler = new rufus.handlers.Socket({ path: file, maxBuffer: 2, minDelay: 10 });
+      handler.handle(record('dropped', { name: 'socket.unix' }));
+      handler.handle(record('kept 1', { name: 'socket.unix' }));
+      handler.handle(record('kept 2', { name: 'socket.unix' }));
+      assert.strictEqual(handler.dropped, 1);
+
+      return new Promise(function(resolve) {
+        setTimeout(resolve, 30);
+      }).then(function() {
+        // connection was refused, but reported only once
+        assert.strictEqual(errors.length, 1);
+        return new Promise(function(resolve) {
+          server.listen(file, resolve);
+        });
+      }).then(function() {
+        return waitFor(capture, 2);
+      }).then(function() {
+        assert.deepEqual(capture.messages(), ['kept 1', 'kept 2']);
+        return close(handler);
+      });
+    }).then(function() {
+      rufus.Handler.onError = onError;
+      server.close();
+    }, function(err) {
+      rufus.Handler.onError = onError;
+      server.close();
+      throw err;
+    });
+  });
+
+  it('should validate received records and limit new loggers', function() {
+    var server = rufus.createServer({ maxLoggers: 2 });
+    var errors = [];
+    var onError = rufus.Handler.onError;
+    rufus.onError(function(err) {
+      errors.push(err.message);
+    });
+    rufus.getLogger('socket.cap');
+
+    function line(name, message) {
+      return JSON.stringify({ name: name, level: rufus.INFO, levelname: 'INFO', timestamp: 0, message: message,
+        text: message, fields: null, mdc: null, pid: 1 }) + '\n';
+    }
+
+    return rufus.testing.withCapture(function(capture) {
+      return new Promise(function(resolve) {
+        server.listen(0, '127.0.0.1', resolve);
+      }).then(function() {
+        net.connect(server.address().port, '127.0.0.1', function() {
+          this.end([
+            '{"name":42}\n',
+            'not json\n',
+            '{"name":"socket.cap.x","level":"high"}\n',
+            '{"name":"socket.cap.x","level":30,"fields":"a=1"}\n',
+            line('socket.cap.a', 'created'),
+            line('constructor', 'created'),
+            line('socket.cap.b', 'not created'),
+            line('socket.cap.a', 'known')
+          ].join(''));
+        });
+        return waitFor(capture, 4);
+      }).then(function() {
+        assert.strictEqual(errors.length, 4);
+        assert.deepEqual(errors.slice(2), ['Received record has no level', 'Received record has wrong fields or mdc']);
+        assert.deepEqual(capture.records.map(function(record) {
+          return record.name + ': ' + record.message;
+        }), ['socket.cap.a: created', 'constructor: created', 'socket.cap.b: not created', 'socket.cap.a: known']);
+
+        var loggers = rufus.getLoggers();
+        assert.ok('socket.cap.a' in loggers);
+        assert.ok(!('socket.cap.b' in loggers));
+      });
+    }).then(function() {
+      rufus.Handler.onError = onError;
+      server.close();
+    }, function(err) {
+      rufus.Handler.onError = onError;
+      server.close();
+      throw err;
+    });
+  });
+
+  it('should close connection with too long record', function(done) {
+    var onError = rufus.Handler.onError;
+    var server = rufus.createServer({ maxLineLength: 10 });
+    rufus.onError(function(err) {
+      rufus.Handler.onError = onError;
+      assert.ok(/longer than 10 bytes/.test(err.message));
+      server.close(done);
+    });
+    server.listen(0, '127.0.0.1', function() {
+      net.connect(server.address().port, '127.0.0.1', function() {
+        this.end('{"name": "too long"');
+      });
+    });
+  });
+});
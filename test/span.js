@@ -0,0 +1,109 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+/*global describe: true, it:true, beforeEach: true*/
+
+var assert = require('assert');
+var util = require('util');
+
+var rufus = require('../');
+
+var __counter = 1;
+function unique() {
+  return "span-" + __counter++;
+}
+
+describe('Span', function() {
+  var logger, records;
+
+  beforeEach(function() {
+    logger = rufus.getLogger(unique());
+    logger.propagate = false;
+    var handler = new rufus.handlers.Capture();
+    records = handler.records;
+    logger.addHandler(handler);
+  });
+
+  it('should log start and end records with duration', function(done) {
+    var span = logger.span('db.query', { table: 'users' });
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(util.format.apply(util, records[0].args), 'db.query started');
+    assert.strictEqual(records[0].fields.table, 'users');
+    assert.strictEqual(records[0].fields.spanId, span.id);
+    assert.strictEqual(records[0].fields.parentSpanId, null);
+
+    setTimeout(function() {
+      span.end().then(function() {
+        span.end();
+        assert.strictEqual(records.length, 2);
+        var end = records[1];
+        assert.strictEqual(end.levelname, 'INFO');
+        assert.strictEqual(util.format.apply(util, end.args), 'db.query finished');
+        assert.strictEqual(end.fields.spanId, span.id);
+        // timers can fire a bit earlier than hrtime counts
+        assert.ok(end.fields.duration_ms >= 4);
+        assert.strictEqual(end.fields.duration_ms, span.duration);
+
+        var formatter = new rufus.Formatter('%message %duration');
+        assert.ok(/^db\.query finished \d+\.\d{3}ms$/.test(formatter.format(end)));
+
+        var json = JSON.parse(new rufus.Formatter('json').format(end));
+        assert.strictEqual(json.duration_ms, span.duration);
+        assert.strictEqual(json.span, 'db.query');
+      }).then(done, done);
+    }, 5);
+  });
+
+  it('should log failure with error', function() {
+    var err = new Error('timeout');
+    logger.span('db.query').fail(err);
+
+    var end = records[1];
+    assert.strictEqual(end.levelname, 'ERROR');
+    assert.strictEqual(end.err, err);
+    assert.strictEqual(util.format.apply(util, end.args), 'db.query failed');
+  });
+
+  it('should know its parent span', function() {
+    var parent = logger.span('request', null, { level: 'DEBUG' });
+    var child = parent.span('db.query');
+    assert.strictEqual(child.parentId, parent.id);
+    assert.strictEqual(records[1].levelname, 'DEBUG');
+    assert.strictEqual(records[1].fields.parentSpanId, parent.id);
+
+    parent.run(function() {
+      var nested = logger.span('cache.get');
+      assert.strictEqual(nested.parentId, parent.id);
+      assert.strictEqual(rufus.mdc.get('spanId'), parent.id);
+    });
+  });
+
+  it('should return promise in fire-and-forget mode', function() {
+    logger.setFireAndForget(true);
+    var span = logger.span('db.query');
+    var ended = span.end();
+    assert.ok(ended instanceof Promise);
+    return ended.then(function() {
+      assert.strictEqual(records.length, 2);
+      return logger.span('db.insert').fail(new Error('duplicate'));
+    }).then(function() {
+      assert.strictEqual(records[3].levelname, 'ERROR');
+    });
+  });
+
+  it('should pass errors of start record to error hook', function(done) {
+    var failing = new rufus.handlers.Null();
+    failing.emit = function(record, callback) {
+      callback(new Error('disk full'));
+    };
+    logger.addHandler(failing);
+
+    var onError = rufus.Handler.onError;
+    rufus.onError(function(err) {
+      rufus.Handler.onError = onError;
+      assert.strictEqual(err.message, 'disk full');
+      done();
+    });
+    logger.span('db.query');
+  });
+});
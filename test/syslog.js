@@ -0,0 +1,169 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+/*global describe: true, it:true*/
+
+var assert = require('assert');
+var dgram = require('dgram');
+var EventEmitter = require('events');
+var net = require('net');
+var sinon = require('sinon');
+
+var rufus = require('../');
+var Syslog = rufus.handlers.Syslog;
+
+var fixture = require('./util/record');
+var close = fixture.close;
+var tmpSocket = fixture.tmpSocket;
+
+var TIMESTAMP = new Date(Date.UTC(2024, 2, 5, 14, 7, 9, 123));
+
+// record of app.db logger with fixed time
+function rec(msg, props) {
+  return fixture.record(msg, Object.assign({ name: 'app.db', timestamp: TIMESTAMP }, props));
+}
+
+var IDENTITY = { hostname: 'web-1', appName: 'shop', procid: 42 };
+
+describe('Syslog', function() {
+  it('should map levels to severities', function() {
+    assert.strictEqual(Syslog.getSeverity(rufus.CRITICAL), 2);
+    assert.strictEqual(Syslog.getSeverity(rufus.ERROR), 3);
+    assert.strictEqual(Syslog.getSeverity(rufus.WARNING), 4);
+    assert.strictEqual(Syslog.getSeverity(35), 5);
+    assert.strictEqual(Syslog.getSeverity(rufus.INFO), 6);
+    assert.strictEqual(Syslog.getSeverity(rufus.DEBUG), 7);
+    assert.strictEqual(Syslog.getSeverity(rufus.TRACE), 7);
+  });
+
+  it('should validate options', function() {
+    assert.throws(function() {
+      return new Syslog({ protocol: 'http' });
+    }, /Unknown syslog protocol/);
+    assert.throws(function() {
+      return new Syslog({ facility: 'local9' });
+    }, /Unknown syslog facility/);
+  });
+
+  it('should format RFC 5424 messages with structured data', function() {
+    var handler = new Syslog(Object.assign({ port: 5140, facility: 'local0', msgid: 'DB' }, IDENTITY));
+    close(handler);
+
+    assert.strictEqual(handler.formatSyslog(rec('connected')),
+      '<134>1 2024-03-05T14:07:09.123Z web-1 shop 42 DB - app.db - connected');
+    assert.strictEqual(
+      handler.formatSyslog(rec('failed', { level: rufus.ERROR, fields: { msgid: 'QUERY', 'user id': 'b"o]b', attempt: 2 } })),
+      '<131>1 2024-03-05T14:07:09.123Z web-1 shop 42 QUERY [loggj@32473 user_id="b\\"o\\]b" attempt="2"] app.db - failed');
+  });
+
+  it('should format RFC 3164 messages', function() {
+    var handler = new Syslog(Object.assign({ port: 5140, rfc: 3164, format: '%message' }, IDENTITY));
+    close(handler);
+
+    var record = rec('connected', { level: rufus.WARN });
+    record.timestamp = new Date(2024, 2, 5, 4, 7, 9);
+    assert.strictEqual(handler.formatSyslog(record), '<12>Mar  5 04:07:09 web-1 shop[42]: connected');
+  });
+
+  it('should send over UDP', function() {
+    var server = dgram.createSocket('udp4');
+    var messages = [];
+    server.on('message', function(msg) {
+      messages.push(msg.toString());
+    });
+
+    return new Promise(function(resolve) {
+      server.bind(0, '127.0.0.1', resolve);
+    }).then(function() {
+      var handler = new Syslog(Object.assign({ host: '127.0.0.1', port: server.address().port }, IDENTITY));
+      return handler.handle(rec('over udp')).then(function() {
+        return close(handler);
+      });
+    }).then(function() {
+      return new Promise(function(resolve) {
+        (function check() {
+          return messages.length ? resolve() : setTimeout(check, 5);
+        }());
+      });
+    }).then(function() {
+      server.close();
+      assert.deepEqual(messages, ['<14>1 2024-03-05T14:07:09.123Z web-1 shop 42 - - app.db - over udp']);
+    });
+  });
+
+  function receiveStream(listenArgs, options) {
+    var data = '';
+    var server = net.createServer(function(socket) {
+      socket.on('data', function(chunk) {
+        data += chunk;
+      });
+    });
+
+    return new Promise(function(resolve) {
+      server.listen.apply(server, listenArgs.concat(resolve));
+    }).then(function() {
+      var address = server.address();
+      var handler = new Syslog(Object.assign(typeof address === 'string' ? { path: address } :
+        { host: '127.0.0.1', port: address.port }, IDENTITY, options));
+      handler.handle(rec('first'));
+      handler.handle(rec('second'));
+      return close(handler);
+    }).then(function() {
+      return new Promise(function(resolve) {
+        server.close(function() {
+          resolve(data);
+        });
+      });
+    });
+  }
+
+  it('should send over TCP with octet counting', function() {
+    return receiveStream([0, '127.0.0.1'], { protocol: 'tcp', format: '%message' }).then(function(data) {
+      var first = '<14>1 2024-03-05T14:07:09.123Z web-1 shop 42 - - first';
+      var second = '<14>1 2024-03-05T14:07:09.123Z web-1 shop 42 - - second';
+      assert.strictEqual(data, first.length + ' ' + first + second.length + ' ' + second);
+    });
+  });
+
+  it('should send to local unix stream socket', function() {
+    return receiveStream([tmpSocket()], { protocol: 'unix', rfc: 3164, format: '%message' }).then(function(data) {
+      var lines = data.split('\n');
+      assert.strictEqual(lines.length, 3);
+      assert.ok(/^<14>\w{3} [ \d]\d \d\d:\d\d:\d\d web-1 shop\[42\]: first$/.test(lines[0]));
+      assert.ok(/shop\[42\]: second$/.test(lines[1]));
+    });
+  });
+
+  it('should report unix datagram socket which can not be connected', function(done) {
+    var onError = rufus.Handler.onError;
+    var connect = sinon.stub(net, 'connect', function() {
+      var socket = new EventEmitter();
+      socket.unref = function() {};
+      setImmediate(function() {
+        var err = new Error('connect EPROTOTYPE /dev/log');
+        err.code = 'EPROTOTYPE';
+        socket.emit('error', err);
+        socket.emit('close');
+      });
+      return socket;
+    });
+    var handler = new Syslog({ protocol: 'unix' });
+    connect.restore();
+
+    rufus.onError(function(err, h) {
+      rufus.Handler.onError = onError;
+      assert.strictEqual(h, handler);
+      assert.strictEqual(err.code, 'EPROTOTYPE');
+      assert.ok(/\/dev\/log accepts only datagrams/.test(err.message));
+      handler.close(done);
+    });
+  });
+
+  it('should keep transport out of handler registry', function() {
+    var handler = new Syslog({ protocol: 'udp', port: 5514 });
+    assert.notStrictEqual(rufus.Handler.all.indexOf(handler), -1);
+    assert.strictEqual(rufus.Handler.all.indexOf(handler._transport), -1);
+    rufus.Handler.unregister(handler);
+    return close(handler);
+  });
+});
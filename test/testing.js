@@ -0,0 +1,123 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+/*global describe: true, it:true*/
+
+var assert = require('assert');
+
+var rufus = require('../');
+var testing = rufus.testing;
+
+describe('testing', function() {
+  describe('capture', function() {
+    it('should find records by level, name, message, error and fields', function() {
+      var capture = testing.capture();
+      var logger = rufus.getLogger('testing.db.pool');
+      logger.propagate = false;
+      logger.addHandler(capture);
+
+      logger.info('connected to %s', 'db-1', { attempt: 2 });
+      logger.error('query timeout after %dms', 500, new Error('ETIMEDOUT'));
+
+      var record = capture.expectLogged({ level: 'ERROR', name: /db/, message: /timeout/ });
+      assert.strictEqual(record.err.message, 'ETIMEDOUT');
+      capture.expectLogged({ message: 'connected to db-1', fields: { attempt: 2 } });
+      capture.expectLogged({ err: /TIMED/ });
+      capture.expectNotLogged({ level: rufus.WARN });
+      assert.deepEqual(capture.messages(), ['connected to db-1', 'query timeout after 500ms']);
+      assert.strictEqual(capture.filterRecords({ name: 'testing.db.pool' }).length, 2);
+
+      assert.throws(function() {
+        capture.expectLogged({ level: 'ERROR', message: /refused/ });
+      }, function(err) {
+        return err instanceof assert.AssertionError &&
+          /INFO testing\.db\.pool - connected to db-1/.test(err.message);
+      });
+      assert.throws(function() {
+        capture.expectNotLogged({ message: /timeout/ });
+      }, assert.AssertionError);
+
+      capture.clear();
+      assert.deepEqual(capture.records, []);
+      rufus.removeLogger('testing.db.pool');
+    });
+  });
+
+  describe('withCapture', function() {
+    it('should replace root handlers and restore them', function() {
+      var handlers = rufus._handlers;
+
+      var result = testing.withCapture({ level: 'TRACE' }, function(capture) {
+        rufus.getLogger('testing.scoped').trace('inside');
+        capture.expectLogged({ name: 'testing.scoped', message: 'inside' });
+        assert.notStrictEqual(rufus._handlers, handlers);
+        return 42;
+      });
+
+      assert.strictEqual(result, 42);
+      assert.strictEqual(rufus._handlers, handlers);
+      assert.strictEqual(rufus.getEffectiveLevel(), rufus.DEBUG);
+    });
+
+    it('should not keep capture handlers in registry', function() {
+      var count = rufus.Handler.all.length;
+      testing.withCapture(function() {
+        assert.strictEqual(rufus.Handler.all.length, count + 1);
+      });
+      assert.strictEqual(rufus.Handler.all.length, count);
+
+      return testing.withCapture(function() {
+        return Promise.reject(new Error('failed test'));
+      }).catch(function() {
+        assert.strictEqual(rufus.Handler.all.length, count);
+      });
+    });
+
+    it('should restore handlers after promise settles', function() {
+      var handlers = rufus._handlers;
+
+      return testing.withCapture(function(capture) {
+        return new Promise(function(resolve) {
+          setTimeout(resolve, 1);
+        }).then(function() {
+          assert.notStrictEqual(rufus._handlers, handlers);
+          rufus.warn('later');
+          capture.expectLogged({ level: 'WARN', message: 'later' });
+          throw new Error('failed test');
+        });
+      }).then(function() {
+        assert.fail('should reject');
+      }, function(err) {
+        assert.strictEqual(err.message, 'failed test');
+        assert.strictEqual(rufus._handlers, handlers);
+      });
+    });
+  });
+
+  describe('freeze', function() {
+    it('should make timestamp and pid constant', function() {
+      testing.freeze({ timestamp: Date.UTC(2020, 0, 1), pid: 7 });
+      try {
+        var formatter = new rufus.Formatter({ format: 'json' });
+        testing.withCapture(function(capture) {
+          rufus.info('one');
+          rufus.info('two');
+          var out = capture.records.map(function(record) {
+            return JSON.parse(formatter.format(record));
+          });
+          assert.strictEqual(out[0].timestamp, '2020-01-01T00:00:00.000Z');
+          assert.strictEqual(out[1].timestamp, '2020-01-01T00:00:00.000Z');
+          assert.strictEqual(out[0].pid, 7);
+        });
+      } finally {
+        testing.unfreeze();
+      }
+
+      testing.withCapture(function(capture) {
+        rufus.info('real');
+        assert.strictEqual(capture.records[0].pid, process.pid);
+        assert.ok(Date.now() - capture.records[0].timestamp < 1000);
+      });
+    });
+  });
+});
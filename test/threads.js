@@ -0,0 +1,77 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+/*global describe: true, it:true*/
+
+var assert = require('assert');
+var path = require('path');
+var Worker = require('worker_threads').Worker;
+
+var rufus = require('../');
+var serializer = require('../lib/utils/record');
+
+var WORKER = [
+  'var loggj = require(' + JSON.stringify(path.join(__dirname, '..')) + ');',
+  'loggj.threads.forward();',
+  'var err = new Error("bad", { cause: new Error("root cause") });',
+  'err.code = "EBAD";',
+  'loggj.getLogger("threads.db").info("hello %s 100%%", "world", { user: 1 });',
+  'loggj.getLogger("threads.db").debug("hidden");',
+  'loggj.error("boom", err);'
+].join('\n');
+
+describe('threads', function() {
+  it('should serialize and deserialize records', function() {
+    var err = new Error('bad');
+    err.code = 'EBAD';
+    var record = serializer.deserialize(JSON.parse(JSON.stringify(serializer.serialize({
+      name: 'a.b',
+      level: rufus.ERROR,
+      levelname: 'ERROR',
+      timestamp: new Date(1000),
+      message: '%s: %d%%',
+      args: ['%s: %d%%', 'x', 5],
+      err: err,
+      fields: { fn: function() {}, when: new Date(0), cause: new Error('inner') },
+      mdc: null,
+      pid: 10
+    }))));
+
+    assert.strictEqual(record.timestamp.getTime(), 1000);
+    assert.strictEqual(record.message, '%s: %d%%');
+    assert.strictEqual(new rufus.Formatter('%message').format(record), 'x: 5%');
+    assert.ok(record.err instanceof Error);
+    assert.strictEqual(record.err.code, 'EBAD');
+    assert.strictEqual(record.err.stack, err.stack);
+    assert.strictEqual(record.fields.fn, '[Function: fn]');
+    assert.strictEqual(record.fields.when, '1970-01-01T00:00:00.000Z');
+    assert.strictEqual(record.fields.cause.message, 'inner');
+  });
+
+  it('should re-inject records of worker with threadId', function() {
+    this.timeout(5000);
+    this.slow(1000);
+
+    return rufus.testing.withCapture({ level: 'INFO' }, function(capture) {
+      var worker = new Worker(WORKER, { eval: true });
+      var threadId = worker.threadId;
+      var stop = rufus.threads.receive(worker);
+
+      return new Promise(function(resolve, reject) {
+        worker.on('error', reject);
+        worker.on('exit', resolve);
+      }).then(function() {
+        stop();
+        assert.strictEqual(capture.records.length, 2);
+
+        var info = capture.expectLogged({ name: 'threads.db', message: 'hello world 100%' });
+        assert.deepEqual(info.fields, { user: 1, threadId: threadId });
+        assert.strictEqual(info.pid, process.pid);
+
+        var error = capture.expectLogged({ level: 'ERROR', name: 'root', message: 'boom' });
+        assert.strictEqual(error.err.code, 'EBAD');
+        assert.strictEqual(error.err.cause.message, 'root cause');
+      });
+    });
+  });
+});
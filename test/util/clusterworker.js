@@ -0,0 +1,18 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// mocha loads every file of test folder, run only as cluster worker
+if (!require('cluster').isWorker) {
+  return;
+}
+
+const rufus = require('../../');
+
+rufus.cluster.setup();
+rufus.getLogger('cluster.app').info('worker %d ready', 1, { port: 8080 });
+rufus.getLogger('cluster.app').debug('hidden');
+rufus.error('failed', new Error('bad'));
+rufus.shutdown().then(function() {
+  process.exit(0);
+});
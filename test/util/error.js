@@ -2,6 +2,11 @@
  * License, v. 2.0. If a copy of the MPL was not distributed with this
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 
+// mocha loads every file of test folder, run only as script
+if (require.main !== module) {
+  return;
+}
+
 const rufus = require('../../');
 rufus.addHandler(new rufus.handlers.Console({
   formatter: new rufus.Formatter('%logger.%level - %message'),
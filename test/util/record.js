@@ -0,0 +1,46 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const os = require('os');
+const path = require('path');
+
+const LEVELS = require('../../lib/levels');
+
+/**
+ * Record like made by logger, for passing to handlers directly
+ * @param msg message
+ * @param props {Object} optional, name, level, timestamp, fields and other properties
+ * @returns {Object}
+ */
+function record(msg, props) {
+  var rec = Object.assign({
+    name: 'test',
+    level: LEVELS.INFO,
+    timestamp: new Date(),
+    message: msg,
+    args: [msg],
+    fields: null,
+    pid: 42
+  }, props);
+  rec.levelname = LEVELS.getLevelName(rec.level);
+  return rec;
+}
+
+var NOW = Date.now();
+var counter = 1;
+
+// unique path of unix socket
+function tmpSocket() {
+  return path.join(os.tmpdir(), 'rufus-' + NOW + '-' + process.pid + '-' + (counter++) + '.sock');
+}
+
+function close(handler) {
+  return new Promise(function(resolve) {
+    handler.close(resolve);
+  });
+}
+
+exports.record = record;
+exports.tmpSocket = tmpSocket;
+exports.close = close;